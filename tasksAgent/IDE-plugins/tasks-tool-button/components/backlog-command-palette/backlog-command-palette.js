@@ -0,0 +1,161 @@
+export class BacklogCommandPalette {
+    constructor(element, invalidate) {
+        this.element = element;
+        this.invalidate = invalidate;
+        this.props = element?.props || element?._componentProxy?.props || {};
+        this.state = {
+            commands: [],
+            matches: [],
+            activeIndex: 0
+        };
+        this.invalidate();
+    }
+
+    beforeRender() {}
+
+    afterRender() {
+        this.cacheElements();
+        this.loadProps();
+        this.bindEvents();
+        this.filterCommands();
+        this.queryInput?.focus();
+    }
+
+    cacheElements() {
+        this.queryInput = this.element.querySelector('#backlogCommandQuery');
+        this.list = this.element.querySelector('#backlogCommandList');
+        this.empty = this.element.querySelector('#backlogCommandEmpty');
+    }
+
+    loadProps() {
+        const commands = this.parsePayload(this.props?.commands);
+        this.state.commands = Array.isArray(commands) ? commands.filter((command) => command?.id && command?.label) : [];
+    }
+
+    parsePayload(raw) {
+        if (!raw) return null;
+        try {
+            return JSON.parse(decodeURIComponent(raw));
+        } catch {
+            return null;
+        }
+    }
+
+    bindEvents() {
+        if (this.element.dataset.boundCommandPalette) return;
+        this.queryInput?.addEventListener('input', () => this.filterCommands());
+        this.element.addEventListener('keydown', (event) => {
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                this.moveActive(event.key === 'ArrowDown' ? 1 : -1);
+            } else if (event.key === 'Enter') {
+                event.preventDefault();
+                this.runActive();
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation();
+                this.closeModal();
+            }
+        });
+        this.element.dataset.boundCommandPalette = 'true';
+    }
+
+    filterCommands() {
+        const query = String(this.queryInput?.value || '').trim().toLowerCase();
+        this.state.matches = this.state.commands
+            .map((command, index) => ({ command, index, match: this.fuzzyMatch(query, command.label.toLowerCase()) }))
+            .filter((item) => item.match)
+            .sort((a, b) => b.match.score - a.match.score || a.index - b.index);
+        this.state.activeIndex = 0;
+        this.renderCommands();
+    }
+
+    // Subsequence match: every query character must appear in order. Runs of adjacent
+    // characters and characters at the start of a word score higher.
+    fuzzyMatch(query, text) {
+        if (!query) return { score: 0, positions: [] };
+        const positions = [];
+        let score = 0;
+        let from = 0;
+        for (const char of query.replace(/\s+/g, '')) {
+            const index = text.indexOf(char, from);
+            if (index < 0) return null;
+            if (index === 0 || text[index - 1] === ' ') score += 3;
+            if (positions.length && index === positions[positions.length - 1] + 1) score += 2;
+            score -= Math.min(index - from, 3);
+            positions.push(index);
+            from = index + 1;
+        }
+        return { score, positions };
+    }
+
+    renderCommands() {
+        if (!this.list) return;
+        this.list.innerHTML = '';
+        this.state.matches.forEach(({ command, match }, index) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `backlog-command-item${index === this.state.activeIndex ? ' is-active' : ''}`;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', String(index === this.state.activeIndex));
+            item.innerHTML = `<span class="backlog-command-label">${this.highlight(command.label, match.positions)}</span>`;
+            if (command.shortcut) {
+                const key = document.createElement('kbd');
+                key.className = 'backlog-command-key';
+                key.textContent = command.shortcut;
+                item.appendChild(key);
+            }
+            item.addEventListener('mousemove', () => this.setActive(index));
+            item.addEventListener('click', () => this.closeModalWithCommand(command.id));
+            this.list.appendChild(item);
+        });
+        this.empty?.classList.toggle('is-visible', this.state.matches.length === 0);
+    }
+
+    highlight(label, positions) {
+        const marked = new Set(positions);
+        return [...label].map((char, index) => {
+            const text = this.escapeHtml(char);
+            return marked.has(index) ? `<mark>${text}</mark>` : text;
+        }).join('');
+    }
+
+    escapeHtml(value) {
+        return String(value || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    setActive(index) {
+        if (index === this.state.activeIndex) return;
+        const items = this.list?.querySelectorAll('.backlog-command-item') || [];
+        items[this.state.activeIndex]?.classList.remove('is-active');
+        items[this.state.activeIndex]?.setAttribute('aria-selected', 'false');
+        this.state.activeIndex = index;
+        items[index]?.classList.add('is-active');
+        items[index]?.setAttribute('aria-selected', 'true');
+        items[index]?.scrollIntoView({ block: 'nearest' });
+    }
+
+    moveActive(delta) {
+        const count = this.state.matches.length;
+        if (!count) return;
+        this.setActive((this.state.activeIndex + delta + count) % count);
+    }
+
+    runActive() {
+        const command = this.state.matches[this.state.activeIndex]?.command;
+        if (command) this.closeModalWithCommand(command.id);
+    }
+
+    closeModalWithCommand(id) {
+        assistOS.UI.closeModal(this.element, { id });
+    }
+
+    closeModal() {
+        assistOS.UI.closeModal(this.element, null);
+    }
+}
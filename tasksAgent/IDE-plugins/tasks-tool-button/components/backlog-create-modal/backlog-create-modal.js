@@ -3,7 +3,10 @@ export class BacklogCreateModal {
         this.element = element;
         this.invalidate = invalidate;
         this.props = element?.props || element?._componentProxy?.props || {};
-        this.state = {};
+        this.state = {
+            options: [],
+            defaults: {}
+        };
         this.invalidate();
     }
 
@@ -11,11 +14,39 @@ export class BacklogCreateModal {
 
     afterRender() {
         this.cacheElements();
+        this.loadProps();
         this.bindEvents();
+        this.renderPositions();
+        this.renderOptions();
+        this.descInput?.focus();
     }
 
     cacheElements() {
         this.descInput = this.element.querySelector('#backlogModalDescription');
+        this.optionsList = this.element.querySelector('#backlogModalOptions');
+        this.resolutionInput = this.element.querySelector('#backlogModalResolution');
+        this.positionSelect = this.element.querySelector('#backlogModalPosition');
+        this.anotherInput = this.element.querySelector('#backlogModalAnother');
+        this.statusLabel = this.element.querySelector('#backlogModalStatus');
+    }
+
+    loadProps() {
+        const defaults = this.parsePayload(this.props?.defaults);
+        this.state.defaults = defaults && typeof defaults === 'object' ? defaults : {};
+        if (this.anotherInput) this.anotherInput.checked = Boolean(this.state.defaults.createAnother);
+        const created = Number(this.state.defaults.created) || 0;
+        if (this.statusLabel) {
+            this.statusLabel.textContent = created ? `Created ${created} task${created === 1 ? '' : 's'}.` : '';
+        }
+    }
+
+    parsePayload(raw) {
+        if (!raw) return null;
+        try {
+            return JSON.parse(decodeURIComponent(raw));
+        } catch {
+            return null;
+        }
     }
 
     bindEvents() {
@@ -25,19 +56,180 @@ export class BacklogCreateModal {
                     event.preventDefault();
                     event.stopPropagation();
                     this.closeModal();
+                } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+                    event.preventDefault();
+                    this.createTask();
                 }
             });
+            this.resolutionInput?.addEventListener('input', () => this.syncChosenOptions());
             this.element.dataset.boundBacklogCreate = 'true';
         }
     }
 
+    renderPositions() {
+        if (!this.positionSelect) return;
+        const { currentOrder, placement } = this.state.defaults;
+        const choices = [
+            ['end', 'Bottom of the backlog'],
+            ['start', 'Top of the backlog (#1)']
+        ];
+        if (Number(currentOrder) > 0) {
+            choices.push(['after', `After the current task (#${Number(currentOrder) + 1})`]);
+        }
+        this.positionSelect.innerHTML = '';
+        for (const [value, label] of choices) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.positionSelect.appendChild(option);
+        }
+        this.positionSelect.value = choices.some(([value]) => value === placement) ? placement : 'end';
+    }
+
+    renderOptions(focusIndex = -1) {
+        if (!this.optionsList) return;
+        const chosen = new Set(this.getResolutionLines());
+        this.optionsList.innerHTML = '';
+        this.state.options.forEach((text, index) => {
+            const item = document.createElement('li');
+            item.className = 'backlog-create-option';
+            item.innerHTML = `
+                <span class="backlog-create-option-index">${index + 1}.</span>
+                <input type="text" class="form-input" autocomplete="off" spellcheck="false" aria-label="Option ${index + 1}"/>
+                <label class="backlog-create-option-chosen" title="Use this option as the resolution">
+                    <input type="checkbox"/> Chosen
+                </label>
+            `;
+            const input = item.querySelector('input[type="text"]');
+            const checkbox = item.querySelector('input[type="checkbox"]');
+            input.value = text;
+            checkbox.checked = Boolean(text.trim()) && chosen.has(text.trim());
+            input.addEventListener('input', () => this.renameOption(index, input.value));
+            input.addEventListener('keydown', (event) => {
+                if (event.key !== 'Enter' || event.ctrlKey || event.metaKey) return;
+                event.preventDefault();
+                this.addOption(index + 1);
+            });
+            checkbox.addEventListener('change', () => this.toggleChosen(index, checkbox.checked));
+            item.append(
+                this.createOptionButton('▲', 'Move up', index === 0, () => this.moveOption(index, -1)),
+                this.createOptionButton('▼', 'Move down', index === this.state.options.length - 1, () => this.moveOption(index, 1)),
+                this.createOptionButton('✕', 'Remove option', false, () => this.removeOption(index))
+            );
+            this.optionsList.appendChild(item);
+        });
+        if (focusIndex >= 0) {
+            this.optionsList.querySelectorAll('input[type="text"]')[focusIndex]?.focus();
+        }
+    }
+
+    createOptionButton(text, title, disabled, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'backlog-create-option-button';
+        button.textContent = text;
+        button.title = title;
+        button.setAttribute('aria-label', title);
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Also bound as a local action, which passes the clicked button instead of an index.
+    addOption(index) {
+        const at = typeof index === 'number' ? index : this.state.options.length;
+        this.state.options.splice(at, 0, '');
+        this.renderOptions(at);
+    }
+
+    removeOption(index) {
+        const [removed] = this.state.options.splice(index, 1);
+        this.setResolutionLines(this.getResolutionLines().filter((line) => line !== String(removed || '').trim()));
+        this.renderOptions(Math.min(index, this.state.options.length - 1));
+    }
+
+    moveOption(index, delta) {
+        const target = index + delta;
+        if (target < 0 || target >= this.state.options.length) return;
+        const [moved] = this.state.options.splice(index, 1);
+        this.state.options.splice(target, 0, moved);
+        this.setResolutionLines(this.orderResolutionLines(this.getResolutionLines()));
+        this.renderOptions(target);
+    }
+
+    // A chosen option keeps its resolution line when its text is edited.
+    renameOption(index, value) {
+        const previous = String(this.state.options[index] || '').trim();
+        this.state.options[index] = value;
+        const next = value.trim();
+        const lines = this.getResolutionLines();
+        if (previous && lines.includes(previous)) {
+            this.setResolutionLines(lines.map((line) => (line === previous ? next : line)).filter(Boolean));
+        }
+        this.syncChosenOptions();
+    }
+
+    toggleChosen(index, checked) {
+        const option = String(this.state.options[index] || '').trim();
+        if (!option) {
+            this.syncChosenOptions();
+            return;
+        }
+        const lines = new Set(this.getResolutionLines());
+        if (checked) {
+            lines.add(option);
+        } else {
+            lines.delete(option);
+        }
+        this.setResolutionLines(this.orderResolutionLines([...lines]));
+    }
+
+    // Resolution lines follow the option order; free-text lines stay after them.
+    orderResolutionLines(lines) {
+        const set = new Set(lines);
+        const ordered = this.getOptions().filter((option) => set.has(option));
+        return [...ordered, ...lines.filter((line) => !ordered.includes(line))];
+    }
+
+    syncChosenOptions() {
+        const chosen = new Set(this.getResolutionLines());
+        const items = this.optionsList?.querySelectorAll('.backlog-create-option') || [];
+        items.forEach((item, index) => {
+            const checkbox = item.querySelector('input[type="checkbox"]');
+            const option = String(this.state.options[index] || '').trim();
+            if (checkbox) checkbox.checked = Boolean(option) && chosen.has(option);
+        });
+    }
+
+    getOptions() {
+        return [...new Set(this.state.options.map((option) => String(option || '').trim()).filter(Boolean))];
+    }
+
+    getResolutionLines() {
+        return String(this.resolutionInput?.value || '')
+            .split(/\r?\n/)
+            .map((line) => line.trim())
+            .filter(Boolean);
+    }
+
+    setResolutionLines(lines) {
+        if (!this.resolutionInput) return;
+        this.resolutionInput.value = lines.join('\n');
+    }
+
     createTask() {
         const description = String(this.descInput?.value || '').trim();
         if (!description) {
             alert('Description is required.');
             return;
         }
-        this.closeModalWithPayload({ description });
+        this.closeModalWithPayload({
+            description,
+            options: this.getOptions(),
+            resolution: String(this.resolutionInput?.value || '').trim(),
+            placement: this.positionSelect?.value || 'end',
+            createAnother: Boolean(this.anotherInput?.checked)
+        });
     }
 
     closeModal(_element) {
@@ -0,0 +1,83 @@
+export class BacklogMoveModal {
+    constructor(element, invalidate) {
+        this.element = element;
+        this.invalidate = invalidate;
+        this.props = element?.props || element?._componentProxy?.props || {};
+        this.state = {
+            backlogs: [],
+            currentPath: ''
+        };
+        this.invalidate();
+    }
+
+    beforeRender() {}
+
+    afterRender() {
+        this.cacheElements();
+        this.loadProps();
+        this.renderTargets();
+    }
+
+    cacheElements() {
+        this.targetSelect = this.element.querySelector('#backlogMoveTarget');
+        this.copyInput = this.element.querySelector('#backlogMoveCopy');
+        this.hint = this.element.querySelector('#backlogMoveHint');
+        this.confirmButton = this.element.querySelector('#backlogMoveConfirm');
+        this.copyInput?.addEventListener('change', () => this.updateConfirmLabel());
+    }
+
+    loadProps() {
+        const props = this.props || {};
+        const backlogs = this.parsePayload(props.backlogs);
+        this.state.backlogs = Array.isArray(backlogs) ? backlogs : [];
+        this.state.currentPath = this.parsePayload(props.currentPath) || '';
+    }
+
+    parsePayload(raw) {
+        if (!raw) return null;
+        try {
+            return JSON.parse(decodeURIComponent(raw));
+        } catch {
+            return null;
+        }
+    }
+
+    renderTargets() {
+        if (!this.targetSelect) return;
+        const targets = this.state.backlogs.filter((backlog) => backlog?.path && backlog.path !== this.state.currentPath);
+        this.targetSelect.innerHTML = '';
+        for (const backlog of targets) {
+            const option = document.createElement('option');
+            option.value = backlog.path;
+            option.textContent = backlog.relativePath || backlog.path;
+            this.targetSelect.appendChild(option);
+        }
+        this.targetSelect.disabled = targets.length === 0;
+        if (this.confirmButton) this.confirmButton.disabled = targets.length === 0;
+        if (this.hint) {
+            this.hint.textContent = targets.length
+                ? 'Resolution, options and metadata travel with the task.'
+                : 'This repository has no other .backlog files.';
+        }
+        this.updateConfirmLabel();
+    }
+
+    updateConfirmLabel() {
+        if (this.confirmButton) {
+            this.confirmButton.textContent = this.copyInput?.checked ? 'Copy' : 'Move';
+        }
+    }
+
+    confirmMove() {
+        const targetBacklogPath = String(this.targetSelect?.value || '').trim();
+        if (!targetBacklogPath) return;
+        assistOS.UI.closeModal(this.element, {
+            targetBacklogPath,
+            copy: Boolean(this.copyInput?.checked)
+        });
+    }
+
+    closeModal() {
+        assistOS.UI.closeModal(this.element, null);
+    }
+}
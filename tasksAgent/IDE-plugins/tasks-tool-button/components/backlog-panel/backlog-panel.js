@@ -2,6 +2,17 @@ import { callAgentTool, callExplorerTool, ensureSuccess, parseToolResult } from
 import { withGlobalLoader } from "/explorer/utils/globalLoader.js";
 import { getWorkspaceRoot } from "/explorer/utils/workspaceRoot.js";
 
+const WATCH_TIMEOUT_MS = 20000;
+const WATCH_RETRY_MS = 5000;
+
+// Keeps the update arguments whose value differs from the task the edit started from, so
+// a forced save does not overwrite fields another writer changed and the user left alone.
+function editedFields(edits, base) {
+    const sameValue = (left, right) => JSON.stringify(left ?? '') === JSON.stringify(right ?? '');
+    return Object.fromEntries(Object.entries(edits)
+        .filter(([key, value]) => key === 'id' || !sameValue(value, base?.[key])));
+}
+
 export class BacklogPanel {
     constructor(element, invalidate, props = {}) {
         this.element = element;
@@ -14,6 +25,14 @@ export class BacklogPanel {
             tasks: [],
             conflict: false,
             viewMode: 'carousel',
+            collapsedColumns: [],
+            selectedIds: [],
+            lastSelectedId: '',
+            scope: 'file',
+            groups: [],
+            watchCursor: '',
+            revision: '',
+            listKey: '',
             filters: {
                 status: '',
                 q: ''
@@ -28,14 +47,22 @@ export class BacklogPanel {
     async afterRender() {
         this.cacheElements();
         this.bindFilterEvents();
+        this.bindKeyboard();
         this.mountFiltersInHeader();
         await this.refreshAll();
     }
 
     afterUnload() {
+        this.state.watchCursor = '';
+        if (this.keydownHandler) {
+            document.removeEventListener('keydown', this.keydownHandler);
+            this.keydownHandler = null;
+        }
     }
 
     cacheElements() {
+        // Focusable without joining the tab order, so clicking the panel gives it the keyboard.
+        if (!this.element.hasAttribute('tabindex')) this.element.setAttribute('tabindex', '-1');
         this.errorBox = this.element.querySelector('#backlogError');
         this.conflictBox = this.element.querySelector('#backlogConflict');
         this.header = this.element.querySelector('#backlogHeader');
@@ -43,15 +70,23 @@ export class BacklogPanel {
         this.filtersContainer = this.element.querySelector('#backlogFilters');
         this.statusFilter = this.element.querySelector('#backlogStatusFilter');
         this.searchFilter = this.element.querySelector('#backlogSearchFilter');
+        this.searchError = this.element.querySelector('#backlogSearchError');
         this.list = this.element.querySelector('#backlogList');
         this.listView = this.element.querySelector('#backlogListView');
         this.listToggle = this.element.querySelector('#backlogListToggle');
+        this.boardToggle = this.element.querySelector('#backlogBoardToggle');
+        this.board = this.element.querySelector('#backlogBoard');
+        this.bulkBar = this.element.querySelector('#backlogBulkBar');
+        this.bulkCount = this.element.querySelector('#backlogBulkCount');
+        this.bulkSummary = this.element.querySelector('#backlogBulkSummary');
+        this.scopeToggle = this.element.querySelector('#backlogScopeToggle');
         this.listHint = this.element.querySelector('#backlogListHint');
         this.empty = this.element.querySelector('#backlogEmpty');
         this.carouselInfo = this.element.querySelector('#backlogCarouselInfo');
         this.carousel = this.element.querySelector('#backlogCarousel');
         this.sectionTitle = this.element.querySelector('#backlogSectionTitle');
         this.exportButton = this.element.querySelector('#backlogExportHistory');
+        this.undoButtons = [this.element.querySelector('#backlogUndo'), this.element.querySelector('#backlogRedo')].filter(Boolean);
         this.state.currentIndex = this.state.currentIndex || 0;
         this.workspaceRoot = getWorkspaceRoot();
         this.rawRepoPath = String(this.element.getAttribute('data-repo-path') || '').trim();
@@ -133,6 +168,15 @@ export class BacklogPanel {
         if (this.exportButton) {
             this.exportButton.style.display = this.isHistory ? '' : 'none';
         }
+        if (this.scopeToggle) {
+            this.scopeToggle.style.display = this.isHistory ? 'none' : '';
+        }
+        for (const button of this.undoButtons || []) {
+            button.style.display = this.isHistory ? 'none' : '';
+        }
+        if (this.searchFilter && this.isHistory) {
+            this.searchFilter.placeholder = 'completed>=2026-01-01 sort:-completed';
+        }
         if (this.statusFilter) {
             const statusLabel = this.statusFilter.closest('label');
             if (statusLabel) statusLabel.classList.toggle('is-hidden', this.isHistory);
@@ -144,6 +188,226 @@ export class BacklogPanel {
         this.bindFilterInput(this.searchFilter);
     }
 
+    bindKeyboard() {
+        if (this.keydownHandler) return;
+        this.keydownHandler = (event) => {
+            if (!this.element.isConnected || this.modalDepth || event.altKey) return;
+            // Keys pressed elsewhere in Explorer (file tree, toolbar, editors) belong to the host.
+            if (!this.hasKeyboardFocus()) return;
+            const key = String(event.key || '');
+            const editing = event.target?.closest?.('input, textarea, select, [contenteditable="true"]');
+            if (editing) {
+                // Escape hands a focused panel field back to the keyboard shortcuts.
+                if (key === 'Escape' && this.element.contains(editing)) this.focusPanel();
+                return;
+            }
+            if (event.ctrlKey || event.metaKey) {
+                if (key.toLowerCase() === 'k') {
+                    event.preventDefault();
+                    this.openCommandPalette();
+                } else if (key.toLowerCase() === 'z') {
+                    event.preventDefault();
+                    if (event.shiftKey) {
+                        this.redoLast();
+                    } else {
+                        this.undoLast();
+                    }
+                }
+                return;
+            }
+            if (/^[1-9]$/.test(key)) {
+                if (this.toggleCurrentOption(Number(key))) event.preventDefault();
+                return;
+            }
+            if (key === 'Enter' && event.target?.closest?.('button, a')) return;
+            const command = this.getCommands().find((item) => item.key === key);
+            if (!command?.enabled) return;
+            event.preventDefault();
+            this.runCommand(command);
+        };
+        document.addEventListener('keydown', this.keydownHandler);
+    }
+
+    // The header and filters are mounted into Explorer's preview header, outside this.element.
+    hasKeyboardFocus() {
+        const active = document.activeElement;
+        return [this.element, this.header, this.filtersContainer].some((node) => node?.contains(active));
+    }
+
+    focusPanel() {
+        this.element.focus({ preventScroll: true });
+    }
+
+    getCommands() {
+        const tasks = Array.isArray(this.state.tasks) ? this.state.tasks : [];
+        const task = this.getCurrentTask();
+        const editable = !this.isHistory && !this.state.conflict && Boolean(this.repoPath);
+        const fileScope = this.state.scope === 'file';
+        const transitions = this.getWorkflow().transitions[task?.status] || [];
+        const selectable = this.canSelectTasks();
+        const selected = selectable && this.state.selectedIds.length > 0;
+        const view = this.state.viewMode;
+        return [
+            { id: 'next-task', label: 'Next task', key: 'j', enabled: tasks.length > 1, run: () => this.moveCurrent(1) },
+            { id: 'prev-task', label: 'Previous task', key: 'k', enabled: tasks.length > 1, run: () => this.moveCurrent(-1) },
+            { id: 'edit-task', label: 'Edit current task', key: 'Enter', enabled: Boolean(task) && fileScope, run: () => this.editCurrentTask() },
+            { id: 'approve-task', label: 'Approve current task', key: 'a', enabled: editable && transitions.includes('approved'), run: () => this.setCurrentStatus('approved') },
+            { id: 'done-task', label: 'Mark current task done', key: 'd', enabled: editable && transitions.includes('done'), run: () => this.setCurrentStatus('done') },
+            { id: 'select-task', label: 'Select or deselect current task', key: 'x', enabled: selectable && Boolean(task), run: () => this.toggleTaskSelection(task.id) },
+            { id: 'move-task-up', label: 'Move current task up', enabled: editable && fileScope && Boolean(task), run: () => this.reorderRelative({ id: task.id, delta: -1 }) },
+            { id: 'move-task-down', label: 'Move current task down', enabled: editable && fileScope && Boolean(task), run: () => this.reorderRelative({ id: task.id, delta: 1 }) },
+            { id: 'move-task', label: 'Move current task to another backlog…', enabled: editable && Boolean(task), run: () => this.openMoveTaskModal(task) },
+            { id: 'delete-task', label: 'Delete current task', enabled: editable && Boolean(task), run: () => this.deleteTask(task) },
+            { id: 'reopen-task', label: 'Reopen current task', enabled: this.isHistory && fileScope && Boolean(task), run: () => this.restoreTask({ id: task.id }) },
+            { id: 'new-task', label: 'New task…', key: 'n', enabled: editable && Boolean(this.backlogPath), run: () => this.openCreateTaskModal() },
+            { id: 'focus-search', label: 'Search tasks', key: '/', enabled: Boolean(this.searchFilter), run: () => this.focusSearch() },
+            { id: 'clear-filters', label: 'Clear filters', enabled: true, run: () => this.clearFilters() },
+            { id: 'refresh', label: 'Refresh backlog', enabled: true, run: () => this.refreshBacklog() },
+            { id: 'undo', label: 'Undo last change', shortcut: 'Ctrl+Z', enabled: editable && fileScope, run: () => this.undoLast() },
+            { id: 'redo', label: 'Redo', shortcut: 'Ctrl+Shift+Z', enabled: editable && fileScope, run: () => this.redoLast() },
+            { id: 'view-carousel', label: 'Show carousel view', enabled: fileScope && view !== 'carousel', run: () => this.setViewMode('carousel') },
+            { id: 'view-list', label: 'Show list view', enabled: fileScope && view !== 'list', run: () => this.setViewMode('list') },
+            { id: 'view-board', label: 'Show board view', enabled: fileScope && !this.isHistory && view !== 'board', run: () => this.setViewMode('board') },
+            { id: 'toggle-scope', label: fileScope ? 'Show all backlogs' : 'Show this backlog only', enabled: !this.isHistory, run: () => this.toggleRepoScope() },
+            { id: 'select-all', label: 'Select all tasks', enabled: selectable && tasks.length > 0, run: () => this.selectAllTasks() },
+            { id: 'clear-selection', label: 'Clear selection', enabled: selected, run: () => this.clearSelection() },
+            { id: 'bulk-approve', label: 'Approve selected tasks', enabled: selected, run: () => this.bulkApprove() },
+            { id: 'bulk-done', label: 'Mark selected tasks done', enabled: selected, run: () => this.bulkMarkDone() },
+            { id: 'bulk-tag', label: 'Tag selected tasks…', enabled: selected, run: () => this.bulkTag() },
+            { id: 'bulk-top', label: 'Move selected tasks to the top', enabled: selected, run: () => this.bulkMoveTop() },
+            { id: 'bulk-bottom', label: 'Move selected tasks to the bottom', enabled: selected, run: () => this.bulkMoveBottom() },
+            { id: 'bulk-delete', label: 'Delete selected tasks', enabled: selected, run: () => this.bulkDelete() },
+            { id: 'export-history', label: 'Export history', enabled: this.isHistory, run: () => this.exportHistory() },
+            { id: 'show-shortcuts', label: 'Keyboard shortcuts', key: '?', enabled: true, run: () => this.openShortcutsModal() }
+        ];
+    }
+
+    async runCommand(command) {
+        try {
+            await command.run();
+        } catch (error) {
+            this.setError(`${command.label.replace(/…$/, '')} error: ${error?.message || error}`);
+        }
+        // Re-rendering or closing a modal can drop focus to the body; keep the shortcuts usable.
+        if (document.activeElement === document.body && this.element.isConnected) this.focusPanel();
+    }
+
+    async openCommandPalette() {
+        const commands = this.getCommands()
+            .filter((command) => command.enabled)
+            .map(({ id, label, key, shortcut }) => ({ id, label, shortcut: shortcut || key || '' }));
+        const choice = await this.openModal('backlog-command-palette', {
+            commands: encodeURIComponent(JSON.stringify(commands))
+        });
+        const command = this.getCommands().find((item) => item.id === choice?.id);
+        if (command?.enabled) await this.runCommand(command);
+    }
+
+    async openShortcutsModal() {
+        const shortcuts = this.getCommands()
+            .filter((command) => command.key || command.shortcut)
+            .map(({ label, key, shortcut }) => ({ label, shortcut: shortcut || key }));
+        shortcuts.splice(shortcuts.length - 1, 0,
+            { label: 'Toggle option 1–9 of the current task', shortcut: '1–9' },
+            { label: 'Leave a text field', shortcut: 'Esc' },
+            { label: 'Command palette', shortcut: 'Ctrl+K' });
+        await this.openModal('backlog-shortcuts-modal', {
+            shortcuts: encodeURIComponent(JSON.stringify(shortcuts))
+        });
+    }
+
+    // Panel shortcuts stay off while one of the panel's modals is open.
+    async openModal(name, props = {}) {
+        this.modalDepth = (this.modalDepth || 0) + 1;
+        try {
+            return await assistOS.UI.createReactiveModal(name, props, true);
+        } finally {
+            this.modalDepth -= 1;
+        }
+    }
+
+    getCurrentTask() {
+        const tasks = Array.isArray(this.state.tasks) ? this.state.tasks : [];
+        return tasks[Math.min(this.state.currentIndex || 0, tasks.length - 1)] || null;
+    }
+
+    moveCurrent(delta) {
+        const tasks = Array.isArray(this.state.tasks) ? this.state.tasks : [];
+        if (!tasks.length) return;
+        this.state.currentIndex = Math.max(0, Math.min(tasks.length - 1, (this.state.currentIndex || 0) + delta));
+        this.renderTasks();
+        this.element.querySelector('.backlog-list-item.is-current, .backlog-board-card.is-current')
+            ?.scrollIntoView({ block: 'nearest' });
+    }
+
+    setViewMode(viewMode) {
+        this.state.viewMode = viewMode;
+        this.renderTasks();
+    }
+
+    editCurrentTask() {
+        const task = this.getCurrentTask();
+        if (!task) return;
+        if (this.state.viewMode !== 'carousel') {
+            this.openTaskInCarousel(task.id);
+        }
+        this.focusCurrentDescription();
+    }
+
+    // The task row renders asynchronously, so its description may need a few frames to appear.
+    focusCurrentDescription(attempt = 0) {
+        const row = this.list?.querySelector('backlog-task-row')?.webSkelPresenter;
+        if (row?.descInput) {
+            row.startEditing('description');
+            return;
+        }
+        if (attempt < 10) {
+            setTimeout(() => this.focusCurrentDescription(attempt + 1), 50);
+        }
+    }
+
+    async setCurrentStatus(status) {
+        const task = this.getCurrentTask();
+        if (!task) return;
+        // In the carousel the row holds edits that may not be saved yet, so it sends the change itself.
+        const row = this.state.viewMode === 'carousel' && this.state.scope === 'file'
+            ? this.list?.querySelector('backlog-task-row')?.webSkelPresenter
+            : null;
+        if (row?.state?.task?.id === task.id) {
+            if (status === 'approved' && !row.hasResolution()) {
+                this.setError('Pick an option or write a resolution before approving.');
+                return;
+            }
+            row.dispatchStatus(status);
+            return;
+        }
+        if (status === 'approved' && !String(task.resolution || '').trim()) {
+            this.setError('Pick an option or write a resolution before approving.');
+            return;
+        }
+        await this.updateTaskStatus({
+            id: task.id,
+            status,
+            taskHash: task.taskHash,
+            sourcePath: task.sourcePath
+        });
+    }
+
+    toggleCurrentOption(number) {
+        if (this.isHistory || this.state.viewMode !== 'carousel' || this.state.scope !== 'file') return false;
+        const row = this.list?.querySelector('backlog-task-row')?.webSkelPresenter;
+        const option = row?.getOptions?.()[number - 1];
+        if (!option || !row.isEditableStatus?.()) return false;
+        row.toggleOption(option);
+        return true;
+    }
+
+    focusSearch() {
+        if (!this.searchFilter) return;
+        this.searchFilter.focus();
+        this.searchFilter.select();
+    }
+
     bindFilterInput(element) {
         if (!element || element.dataset.boundBacklogFilter) return;
         const handler = () => this.applyFilters();
@@ -164,6 +428,7 @@ export class BacklogPanel {
 
     clearFilters() {
         this.state.filters = { status: '', q: '' };
+        this.setSearchError('');
         if (this.statusFilter) this.statusFilter.value = '';
         if (this.searchFilter) this.searchFilter.value = '';
         this.loadTasks();
@@ -178,6 +443,7 @@ export class BacklogPanel {
                 await this.loadTasks();
             } else {
                 this.state.tasks = [];
+                this.state.revision = '';
                 this.renderTasks();
             }
         });
@@ -186,7 +452,9 @@ export class BacklogPanel {
     async loadConfig() {
         if (!this.repoPath) return;
         try {
-            const payload = await this.callTasksTool('task_config', { repoPath: this.repoPath });
+            const args = { repoPath: this.repoPath };
+            if (this.backlogPath) args.backlogPath = this.backlogPath;
+            const payload = await this.callTasksTool('task_config', args);
             this.state.config = payload?.config || null;
             this.clearError();
             this.renderSelectOptions();
@@ -197,35 +465,177 @@ export class BacklogPanel {
 
     async loadTasks() {
         if (!this.repoPath) return;
+        if (this.state.scope === 'repo') {
+            await this.loadRepoTasks();
+            return;
+        }
         if (!this.backlogPath) {
             this.setError('Select a .backlog or .history file to load tasks.');
             this.state.tasks = [];
+            this.state.revision = '';
             this.renderTasks();
             return;
         }
         try {
             if (this.state.conflict) {
                 this.state.tasks = [];
+                this.state.watchCursor = '';
+                this.state.revision = '';
                 this.renderTasks();
                 return;
             }
-            const args = {};
+            const toolName = this.isHistory ? 'task_history_list' : 'task_list';
+            const args = this.getListArgs();
+            const listKey = JSON.stringify({ toolName, ...args });
+            if (this.state.revision && this.state.listKey === listKey) {
+                args.ifNoneMatch = this.state.revision;
+            }
+            const payload = await this.callTasksTool(toolName, args);
+            if (!payload?.notModified) {
+                this.state.tasks = Array.isArray(payload?.tasks) ? payload.tasks : [];
+                this.state.watchCursor = payload?.watchCursor || '';
+            }
+            this.state.revision = payload?.revision || '';
+            this.state.listKey = listKey;
+            this.setSearchError('');
+            this.clearError();
+            this.renderTasks();
+            this.watchTasks();
+        } catch (error) {
+            this.state.watchCursor = '';
+            this.state.revision = '';
+            if (error?.data?.code === 'INVALID_QUERY') {
+                const queryError = error.data.queryError;
+                this.setSearchError(`${queryError.message} (at ${Number(queryError.position) + 1})`);
+                return;
+            }
+            this.setError(`Task list error: ${error?.message || error}`);
+        }
+    }
+
+    getListArgs() {
+        const args = { repoPath: this.repoPath, backlogPath: this.backlogPath };
+        const filters = this.state.filters;
+        if (filters.status) args.status = filters.status;
+        if (filters.q) args.q = filters.q;
+        return args;
+    }
+
+    watchTasks() {
+        if (this.watching || !this.state.watchCursor) return;
+        this.watching = true;
+        this.runWatchLoop().finally(() => {
+            this.watching = false;
+        });
+    }
+
+    async runWatchLoop() {
+        while (this.element.isConnected && this.state.watchCursor && this.state.scope === 'file') {
+            const since = this.state.watchCursor;
+            try {
+                const result = await this.callTasksTool('task_watch', {
+                    ...this.getListArgs(),
+                    since,
+                    timeoutMs: WATCH_TIMEOUT_MS
+                });
+                // A reload while the call was waiting already brought the tasks up to date.
+                if (this.state.watchCursor !== since) continue;
+                this.state.watchCursor = result?.cursor || since;
+                if (Array.isArray(result?.events) && result.events.length) {
+                    this.applyWatchEvents(result.events);
+                }
+            } catch {
+                await new Promise((resolve) => setTimeout(resolve, WATCH_RETRY_MS));
+            }
+        }
+    }
+
+    applyWatchEvents(events) {
+        const tasks = Array.isArray(this.state.tasks) ? [...this.state.tasks] : [];
+        const currentId = tasks[this.state.currentIndex]?.id;
+        let changed = false;
+        for (const event of events) {
+            const index = tasks.findIndex((task) => task.id === (event.task?.id ?? event.id));
+            if (event.type === 'delete' && index >= 0) {
+                tasks.splice(index, 1);
+                changed = true;
+            } else if ((event.type === 'update' || event.type === 'create') && event.task) {
+                if (index >= 0 && tasks[index].taskHash === event.task.taskHash) continue;
+                if (index >= 0) {
+                    tasks[index] = event.task;
+                } else {
+                    tasks.splice(Math.min(Number(event.index) || 0, tasks.length), 0, event.task);
+                }
+                changed = true;
+            } else if (event.type === 'reorder' && Array.isArray(event.order)) {
+                const rank = new Map(event.order.map((id, position) => [id, position]));
+                tasks.sort((left, right) => (rank.get(left.id) ?? tasks.length) - (rank.get(right.id) ?? tasks.length));
+                changed = true;
+            }
+        }
+        if (!changed) return;
+        this.state.tasks = tasks;
+        const currentIndex = tasks.findIndex((task) => task.id === currentId);
+        this.state.currentIndex = currentIndex >= 0 ? currentIndex : Math.min(this.state.currentIndex, Math.max(0, tasks.length - 1));
+        this.renderWhenIdle();
+    }
+
+    isEditingTask() {
+        const active = document.activeElement;
+        return Boolean(active && this.list?.contains(active) && active.matches('input, textarea, select'));
+    }
+
+    renderWhenIdle() {
+        if (!this.isEditingTask()) {
+            this.renderTasks();
+            return;
+        }
+        // Re-rendering now would drop the caret and unsaved text; wait until focus leaves the task.
+        if (this.renderDeferred) return;
+        this.renderDeferred = true;
+        const onFocusOut = () => {
+            setTimeout(() => {
+                if (this.isEditingTask()) return;
+                this.list?.removeEventListener('focusout', onFocusOut);
+                this.renderDeferred = false;
+                this.renderTasks();
+            }, 0);
+        };
+        this.list?.addEventListener('focusout', onFocusOut);
+    }
+
+    async loadRepoTasks() {
+        try {
+            const args = { scope: 'repo', repoPath: this.repoPath };
             const filters = this.state.filters;
             if (filters.status) args.status = filters.status;
             if (filters.q) args.q = filters.q;
-            if (this.backlogPath) {
-                args.backlogPath = this.backlogPath;
-            }
-            const toolName = this.isHistory ? 'task_history_list' : 'task_list';
-            const payload = await this.callTasksTool(toolName, { ...args, repoPath: this.repoPath });
+            const payload = await this.callTasksTool('task_list', args);
             this.state.tasks = Array.isArray(payload?.tasks) ? payload.tasks : [];
+            this.state.watchCursor = '';
+            this.state.revision = '';
+            this.state.groups = Array.isArray(payload?.groups) ? payload.groups : [];
+            this.setSearchError('');
             this.clearError();
             this.renderTasks();
         } catch (error) {
+            if (error?.data?.code === 'INVALID_QUERY') {
+                const queryError = error.data.queryError;
+                this.setSearchError(`${queryError.message} (at ${Number(queryError.position) + 1})`);
+                return;
+            }
             this.setError(`Task list error: ${error?.message || error}`);
         }
     }
 
+    async toggleRepoScope() {
+        if (this.isHistory) return;
+        this.state.scope = this.state.scope === 'repo' ? 'file' : 'repo';
+        await withGlobalLoader(async () => {
+            await this.loadTasks();
+        });
+    }
+
     async checkBacklogConflict() {
         let conflict = false;
         try {
@@ -284,10 +694,26 @@ export class BacklogPanel {
             this.listToggle.classList.toggle('is-active', this.state.viewMode === 'list');
             this.listToggle.textContent = this.state.viewMode === 'list' ? 'Carousel view' : 'List view';
         }
+        if (this.boardToggle) {
+            this.boardToggle.classList.toggle('is-active', this.state.viewMode === 'board');
+            this.boardToggle.textContent = this.state.viewMode === 'board' ? 'Carousel view' : 'Board view';
+            this.boardToggle.style.display = this.state.scope === 'repo' || this.isHistory ? 'none' : '';
+        }
         this.list.innerHTML = '';
         if (this.listView) this.listView.innerHTML = '';
+        if (this.board) {
+            this.board.innerHTML = '';
+            this.board.classList.remove('is-visible');
+        }
         if (this.listHint) this.listHint.style.display = 'none';
+        if (this.scopeToggle) {
+            this.scopeToggle.classList.toggle('is-active', this.state.scope === 'repo');
+            this.scopeToggle.textContent = this.state.scope === 'repo' ? 'This backlog' : 'All backlogs';
+        }
+        if (this.listToggle) this.listToggle.style.display = this.state.scope === 'repo' ? 'none' : '';
         const tasks = Array.isArray(this.state.tasks) ? this.state.tasks : [];
+        this.state.selectedIds = this.state.selectedIds.filter((id) => tasks.some((task) => task.id === id));
+        this.renderBulkBar();
         if (!tasks.length) {
             if (this.empty) this.empty.style.display = 'block';
             if (this.carouselInfo) this.carouselInfo.textContent = '0 / 0';
@@ -296,6 +722,23 @@ export class BacklogPanel {
             return;
         }
         if (this.empty) this.empty.style.display = 'none';
+        if (this.state.scope === 'repo') {
+            if (this.list) this.list.style.display = 'none';
+            if (this.carousel) this.carousel.style.display = 'none';
+            if (this.listView) this.listView.classList.add('is-visible');
+            this.renderRepoView();
+            return;
+        }
+        if (this.state.viewMode === 'board' && !this.isHistory) {
+            if (this.list) this.list.style.display = 'none';
+            if (this.carousel) this.carousel.style.display = 'none';
+            if (this.listView) this.listView.classList.remove('is-visible');
+            if (this.listHint && !this.state.conflict) {
+                this.listHint.style.display = 'block';
+            }
+            this.renderBoardView(tasks);
+            return;
+        }
         if (this.state.viewMode === 'list') {
             if (this.list) this.list.style.display = 'none';
             if (this.carousel) this.carousel.style.display = 'none';
@@ -320,6 +763,7 @@ export class BacklogPanel {
         row.setAttribute('data-presenter', 'backlog-task-row');
         row.setAttribute('data-task', encodeURIComponent(JSON.stringify(task)));
         row.setAttribute('data-statuses', encodeURIComponent(JSON.stringify(statuses)));
+        row.setAttribute('data-workflow', encodeURIComponent(JSON.stringify(this.getWorkflow())));
         row.setAttribute('data-readonly', this.isHistory ? 'true' : 'false');
         this.list.appendChild(row);
         if (this.carouselInfo) {
@@ -327,23 +771,22 @@ export class BacklogPanel {
         }
     }
 
+    getWorkflow() {
+        const config = this.state.config || {};
+        return {
+            transitions: config.transitions || {},
+            editableStatuses: Array.isArray(config.editableStatuses) ? config.editableStatuses : ['new'],
+            terminalStatuses: Array.isArray(config.terminalStatuses) ? config.terminalStatuses : ['done'],
+            priorities: Array.isArray(config.priorities) ? config.priorities : []
+        };
+    }
+
     renderListView(tasks) {
         if (!this.listView) return;
         this.listView.innerHTML = '';
-        const statuses = this.state.config?.statuses || {};
         for (const task of tasks) {
-            const item = document.createElement('div');
-            item.className = 'backlog-list-item';
+            const item = this.createListItem(task);
             item.setAttribute('draggable', String(!this.state.conflict && !this.isHistory));
-            item.dataset.id = task.id;
-            const status = String(task.status || '').trim();
-            const statusLabel = String(statuses[status] || status || 'Status');
-            const desc = String(task.description || '').trim() || '(No description)';
-            item.innerHTML = `
-                <div class="backlog-list-order">${Number(task.order) || ''}</div>
-                <div class="backlog-list-desc">${this.escapeHtml(desc)}</div>
-                <div class="backlog-list-status ${status ? `status-${this.escapeHtml(status)}` : ''}">${this.escapeHtml(statusLabel)}</div>
-            `;
             if (!this.state.conflict && !this.isHistory) {
                 this.bindListDnD(item);
             }
@@ -351,6 +794,261 @@ export class BacklogPanel {
         }
     }
 
+    createListItem(task) {
+        const statuses = this.state.config?.statuses || {};
+        const item = document.createElement('div');
+        item.className = 'backlog-list-item';
+        item.dataset.id = task.id;
+        const status = String(task.status || '').trim();
+        const statusLabel = String(statuses[status] || status || 'Status');
+        const desc = String(task.description || '').trim() || '(No description)';
+        item.innerHTML = `
+            <div class="backlog-list-order">${Number(task.order) || ''}</div>
+            <div class="backlog-list-desc">${this.escapeHtml(desc)}</div>
+            <div class="backlog-list-meta">${this.renderTaskMetaChips(task)}</div>
+            <div class="backlog-list-status ${status ? `status-${this.escapeHtml(status)}` : ''}">${this.escapeHtml(statusLabel)}</div>
+        `;
+        item.classList.toggle('is-current', task.id === this.getCurrentTask()?.id);
+        if (this.canSelectTasks()) {
+            const selected = this.state.selectedIds.includes(task.id);
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'backlog-list-select';
+            checkbox.checked = selected;
+            checkbox.title = 'Select (Shift-click selects a range)';
+            checkbox.setAttribute('aria-label', 'Select task');
+            checkbox.addEventListener('click', (event) => this.toggleTaskSelection(task.id, event.shiftKey));
+            item.prepend(checkbox);
+            item.classList.toggle('is-selected', selected);
+        }
+        if (this.isHistory && this.state.scope !== 'repo') {
+            const reopen = document.createElement('button');
+            reopen.type = 'button';
+            reopen.className = 'secondary backlog-list-reopen';
+            reopen.textContent = 'Reopen';
+            reopen.title = 'Move this task back into the backlog';
+            reopen.addEventListener('click', () => this.restoreTask({ id: task.id }));
+            item.appendChild(reopen);
+        }
+        return item;
+    }
+
+    canSelectTasks() {
+        return this.state.viewMode === 'list' && this.state.scope === 'file' && !this.isHistory && !this.state.conflict;
+    }
+
+    toggleTaskSelection(id, range = false) {
+        const tasks = Array.isArray(this.state.tasks) ? this.state.tasks : [];
+        const selected = new Set(this.state.selectedIds);
+        const select = !selected.has(id);
+        let ids = [id];
+        if (range && this.state.lastSelectedId) {
+            const from = tasks.findIndex((task) => task.id === this.state.lastSelectedId);
+            const to = tasks.findIndex((task) => task.id === id);
+            if (from >= 0 && to >= 0) {
+                ids = tasks.slice(Math.min(from, to), Math.max(from, to) + 1).map((task) => task.id);
+            }
+        }
+        for (const taskId of ids) {
+            if (select) {
+                selected.add(taskId);
+            } else {
+                selected.delete(taskId);
+            }
+        }
+        this.state.selectedIds = tasks.filter((task) => selected.has(task.id)).map((task) => task.id);
+        this.state.lastSelectedId = id;
+        this.setBulkSummary('');
+        this.renderTasks();
+    }
+
+    selectAllTasks() {
+        this.state.selectedIds = (this.state.tasks || []).map((task) => task.id);
+        this.renderTasks();
+    }
+
+    clearSelection() {
+        this.state.selectedIds = [];
+        this.state.lastSelectedId = '';
+        this.renderTasks();
+    }
+
+    getSelectedTasks() {
+        const selected = new Set(this.state.selectedIds);
+        return (this.state.tasks || []).filter((task) => selected.has(task.id));
+    }
+
+    renderBulkBar() {
+        if (!this.bulkBar) return;
+        const count = this.canSelectTasks() ? this.state.selectedIds.length : 0;
+        this.bulkBar.classList.toggle('is-visible', count > 0);
+        if (this.bulkCount) {
+            this.bulkCount.textContent = `${count} selected`;
+        }
+    }
+
+    setBulkSummary(message) {
+        if (!this.bulkSummary) return;
+        this.bulkSummary.textContent = message;
+        this.bulkSummary.classList.toggle('is-visible', Boolean(message));
+    }
+
+    async bulkApprove() {
+        const tasks = this.getSelectedTasks();
+        await this.runBulkAction('Approved', tasks, `Approve ${this.countLabel(tasks)}?`,
+            tasks.map((task) => ({ op: 'update', id: task.id, status: 'approved', ifMatch: task.taskHash || '' })));
+    }
+
+    async bulkMarkDone() {
+        const tasks = this.getSelectedTasks();
+        const operations = tasks.map((task) => ({ op: 'done', id: task.id, ifMatch: task.taskHash || '' }));
+        await this.runBulkAction('Marked done', tasks, `Mark ${this.countLabel(tasks)} as done? They move to history.`, operations);
+    }
+
+    async bulkDelete() {
+        const tasks = this.getSelectedTasks();
+        const operations = tasks.map((task) => ({ op: 'delete', id: task.id, ifMatch: task.taskHash || '' }));
+        await this.runBulkAction('Deleted', tasks, `Delete ${this.countLabel(tasks)}?`, operations);
+    }
+
+    async bulkTag() {
+        const tasks = this.getSelectedTasks();
+        if (!tasks.length) return;
+        const tag = String(window.prompt(`Tag to add to ${this.countLabel(tasks)}:`) || '').trim().replace(/^#/, '');
+        if (!tag) return;
+        await this.runBulkAction(`Tagged #${tag}`, tasks, '', tasks.map((task) => ({
+            op: 'update',
+            id: task.id,
+            tags: [...new Set([...(Array.isArray(task.tags) ? task.tags : []), tag])],
+            ifMatch: task.taskHash || ''
+        })));
+    }
+
+    async bulkMoveTop() {
+        await this.bulkMove('start', 'top');
+    }
+
+    async bulkMoveBottom() {
+        await this.bulkMove('end', 'bottom');
+    }
+
+    async bulkMove(placement, label) {
+        const tasks = this.getSelectedTasks();
+        await this.runBulkAction(`Moved to the ${label}`, tasks, `Move ${this.countLabel(tasks)} to the ${label}?`, [{
+            op: 'reorder',
+            order: tasks.map((task) => task.id),
+            ifMatch: tasks.map((task) => task.taskHash || ''),
+            placement
+        }]);
+    }
+
+    countLabel(tasks) {
+        return `${tasks.length} task${tasks.length === 1 ? '' : 's'}`;
+    }
+
+    async runBulkAction(label, tasks, question, operations) {
+        if (!tasks.length || this.isHistory || !this.backlogPath) return;
+        if (this.state.conflict) {
+            this.setError('Resolve .backlog conflicts before editing.');
+            return;
+        }
+        if (question && !window.confirm(question)) return;
+        await withGlobalLoader(async () => {
+            let payload = null;
+            try {
+                payload = await this.callTasksTool('task_batch', {
+                    operations,
+                    atomic: false,
+                    backlogPath: this.backlogPath,
+                    repoPath: this.repoPath
+                });
+            } catch (error) {
+                this.setBulkSummary(`${label}: failed. ${error?.message || error}`);
+                return;
+            }
+            const byId = new Map(tasks.map((task) => [task.id, task]));
+            const failures = (Array.isArray(payload?.results) ? payload.results : []).filter((result) => !result.ok);
+            const failedIds = failures.flatMap((result) => {
+                const operation = operations[result.index] || {};
+                return operation.id ? [operation.id] : operation.order || [];
+            });
+            const lines = [`${label}: ${tasks.length - failedIds.length} of ${tasks.length}.`];
+            for (const result of failures) {
+                const task = byId.get(operations[result.index]?.id);
+                const name = task ? `"${String(task.description || task.id).slice(0, 60)}"` : 'All selected';
+                lines.push(`${name}: ${result.error}`);
+            }
+            this.setBulkSummary(lines.join('\n'));
+            await this.loadTasks();
+            // Failed tasks stay selected so the action can be retried.
+            this.state.selectedIds = failedIds;
+            this.renderTasks();
+        });
+    }
+
+    renderRepoView() {
+        if (!this.listView) return;
+        this.listView.innerHTML = '';
+        const groups = Array.isArray(this.state.groups) ? this.state.groups : [];
+        for (const group of groups) {
+            if (!group.matched) continue;
+            const header = document.createElement('button');
+            header.type = 'button';
+            header.className = 'backlog-group-header';
+            header.title = `Open ${group.relativePath}`;
+            header.innerHTML = `
+                <span class="backlog-group-path">${this.escapeHtml(group.relativePath)}</span>
+                <span class="backlog-group-count">${Number(group.matched) || 0} / ${Number(group.total) || 0}</span>
+            `;
+            header.addEventListener('click', () => this.openBacklogFile(group.sourcePath));
+            this.listView.appendChild(header);
+            for (const task of group.tasks || []) {
+                this.listView.appendChild(this.createListItem(task));
+            }
+        }
+    }
+
+    async openBacklogFile(sourcePath) {
+        const host = document.querySelector('file-exp')?.webSkelPresenter;
+        if (!host?.openFile || !sourcePath) return;
+        const workspaceRoot = String(this.workspaceRoot || '').replace(/\/+$/g, '');
+        const workspacePath = workspaceRoot && sourcePath.startsWith(`${workspaceRoot}/`)
+            ? sourcePath.slice(workspaceRoot.length)
+            : sourcePath;
+        await host.openFile(workspacePath);
+        history.pushState(null, '', `#file-exp${workspacePath}`);
+    }
+
+    async openRepoFile(relativePath) {
+        if (!relativePath || !this.repoPath) return;
+        await this.openBacklogFile(`${String(this.repoPath).replace(/\/+$/g, '')}/${relativePath}`);
+    }
+
+    renderTaskMetaChips(task) {
+        const chips = [];
+        if (task.priority) chips.push(`<span class="backlog-chip priority-${this.escapeHtml(task.priority)}">${this.escapeHtml(task.priority)}</span>`);
+        if (task.assignee) chips.push(`<span class="backlog-chip">@${this.escapeHtml(task.assignee)}</span>`);
+        if (task.dueDate) chips.push(`<span class="backlog-chip" title="Due date">${this.escapeHtml(task.dueDate)}</span>`);
+        if (task.estimate !== undefined && task.estimate !== '') chips.push(`<span class="backlog-chip" title="Estimate">${this.escapeHtml(String(task.estimate))}</span>`);
+        if (task.completedAt) {
+            const completedBy = task.completedBy ? ` by ${task.completedBy}` : '';
+            chips.push(`<span class="backlog-chip" title="Completed${this.escapeHtml(completedBy)}">${this.escapeHtml(String(task.completedAt).slice(0, 10))}</span>`);
+        }
+        if (task.progress?.total) chips.push(`<span class="backlog-chip" title="Steps done">${Number(task.progress.done) || 0}/${Number(task.progress.total) || 0}</span>`);
+        for (const tag of Array.isArray(task.tags) ? task.tags : []) {
+            chips.push(`<span class="backlog-chip is-tag">#${this.escapeHtml(tag)}</span>`);
+        }
+        const dependsOn = Array.isArray(task.dependsOn) ? task.dependsOn : [];
+        if (dependsOn.length) {
+            chips.push(`<span class="backlog-chip is-dependency" title="Depends on ${this.escapeHtml(dependsOn.join(', '))}">needs ${dependsOn.length}</span>`);
+        }
+        const blocks = Array.isArray(task.blocks) ? task.blocks : [];
+        if (blocks.length) {
+            chips.push(`<span class="backlog-chip is-dependency" title="Blocks ${this.escapeHtml(blocks.join(', '))}">blocks ${blocks.length}</span>`);
+        }
+        return chips.join('');
+    }
+
     bindListDnD(item) {
         if (!item || item.dataset.boundDnD) return;
         item.addEventListener('dragstart', (event) => {
@@ -402,12 +1100,10 @@ export class BacklogPanel {
         const [moved] = next.splice(fromIndex, 1);
         next.splice(toIndex, 0, moved);
         const order = next.map((task) => task.id);
+        const ifMatch = next.map((task) => task.taskHash || '');
         await withGlobalLoader(async () => {
-            const result = await this.callTasksTool('task_reorder', {
-                order,
-                backlogPath: this.backlogPath,
-                repoPath: this.repoPath
-            });
+            const result = await this.runReorder(order, ifMatch);
+            if (!result) return;
             if (Array.isArray(result?.tasks)) {
                 this.state.tasks = result.tasks;
             }
@@ -428,12 +1124,10 @@ export class BacklogPanel {
         const [moved] = next.splice(fromIndex, 1);
         next.splice(toIndex, 0, moved);
         const order = next.map((task) => task.id);
+        const ifMatch = next.map((task) => task.taskHash || '');
         await withGlobalLoader(async () => {
-            const result = await this.callTasksTool('task_reorder', {
-                order,
-                backlogPath: this.backlogPath,
-                repoPath: this.repoPath
-            });
+            const result = await this.runReorder(order, ifMatch);
+            if (!result) return;
             if (Array.isArray(result?.tasks)) {
                 this.state.tasks = result.tasks;
                 const updatedIndex = this.state.tasks.findIndex((task) => task.id === payload.id);
@@ -445,6 +1139,24 @@ export class BacklogPanel {
         });
     }
 
+    async runReorder(order, ifMatch) {
+        try {
+            return await this.callTasksTool('task_reorder', {
+                order,
+                ifMatch,
+                backlogPath: this.backlogPath,
+                repoPath: this.repoPath
+            });
+        } catch (error) {
+            if (error?.data?.code === 'CONFLICT') {
+                await this.loadTasks();
+                this.setError('The backlog changed while you were reordering. Tasks were reloaded.');
+                return null;
+            }
+            throw error;
+        }
+    }
+
     toggleListView() {
         this.state.viewMode = this.state.viewMode === 'list' ? 'carousel' : 'list';
         if (this.listToggle) {
@@ -454,6 +1166,166 @@ export class BacklogPanel {
         this.renderTasks();
     }
 
+    toggleBoardView() {
+        if (this.isHistory) return;
+        this.state.viewMode = this.state.viewMode === 'board' ? 'carousel' : 'board';
+        this.renderTasks();
+    }
+
+    renderBoardView(tasks) {
+        if (!this.board) return;
+        this.board.classList.add('is-visible');
+        const statuses = this.state.config?.statuses || {};
+        const { transitions, terminalStatuses } = this.getWorkflow();
+        const editable = !this.state.conflict;
+        for (const [status, label] of Object.entries(statuses)) {
+            const columnTasks = tasks.filter((task) => task.status === status);
+            const collapsed = this.state.collapsedColumns.includes(status);
+            const column = document.createElement('section');
+            column.className = `backlog-board-column${collapsed ? ' is-collapsed' : ''}`;
+            column.dataset.status = status;
+            column.innerHTML = `
+                <button type="button" class="backlog-board-header" title="${collapsed ? 'Expand' : 'Collapse'} column" aria-expanded="${String(!collapsed)}">
+                    <span class="backlog-list-status status-${this.escapeHtml(status)}">${this.escapeHtml(label)}</span>
+                    <span class="backlog-board-count" title="Tasks in this column">${columnTasks.length}</span>
+                </button>
+                <div class="backlog-board-cards"></div>
+            `;
+            column.querySelector('.backlog-board-header').addEventListener('click', () => this.toggleBoardColumn(status));
+            const cards = column.querySelector('.backlog-board-cards');
+            if (terminalStatuses.includes(status)) {
+                cards.innerHTML = '<div class="backlog-board-hint">Drop a task here to complete it. Completed tasks move to history.</div>';
+            }
+            for (const task of columnTasks) {
+                cards.appendChild(this.createBoardCard(task, editable));
+            }
+            if (editable) {
+                this.bindBoardColumnDnD(column, status, transitions);
+            }
+            this.board.appendChild(column);
+        }
+    }
+
+    createBoardCard(task, editable) {
+        const card = document.createElement('div');
+        card.className = `backlog-board-card${task.id === this.getCurrentTask()?.id ? ' is-current' : ''}`;
+        card.dataset.id = task.id;
+        card.setAttribute('draggable', String(editable));
+        const options = Array.isArray(task.options) ? task.options : [];
+        const resolved = Boolean(String(task.resolution || '').trim());
+        const badges = [];
+        if (options.length) {
+            badges.push(`<span class="backlog-chip" title="Candidate options">${options.length} option${options.length === 1 ? '' : 's'}</span>`);
+        }
+        badges.push(resolved
+            ? '<span class="backlog-chip is-resolved" title="Resolution recorded">resolved</span>'
+            : '<span class="backlog-chip is-unresolved" title="No resolution yet">unresolved</span>');
+        const desc = String(task.description || '').trim() || '(No description)';
+        card.innerHTML = `
+            <div class="backlog-board-desc">${this.escapeHtml(desc)}</div>
+            <div class="backlog-list-meta">${badges.join('')}${this.renderTaskMetaChips(task)}</div>
+        `;
+        card.title = 'Open in carousel view';
+        card.addEventListener('click', () => this.openTaskInCarousel(task.id));
+        if (editable) {
+            card.addEventListener('dragstart', (event) => {
+                this.dragState = { id: task.id, status: task.status };
+                event.dataTransfer.effectAllowed = 'move';
+                event.dataTransfer.setData('text/plain', task.id || '');
+                card.classList.add('is-dragging');
+                this.markBoardDropTargets(task.status);
+            });
+            card.addEventListener('dragend', () => {
+                card.classList.remove('is-dragging');
+                this.clearBoardDragState();
+                this.dragState = null;
+            });
+        }
+        return card;
+    }
+
+    bindBoardColumnDnD(column, status, transitions) {
+        column.addEventListener('dragover', (event) => {
+            const from = this.dragState?.status;
+            if (!from || (from !== status && !(transitions[from] || []).includes(status))) return;
+            event.preventDefault();
+            const card = event.target.closest?.('.backlog-board-card');
+            this.clearBoardDragOver();
+            (card || column).classList.add('is-drag-over');
+        });
+        column.addEventListener('dragleave', (event) => {
+            if (!column.contains(event.relatedTarget)) this.clearBoardDragOver();
+        });
+        column.addEventListener('drop', async (event) => {
+            event.preventDefault();
+            const drag = this.dragState;
+            const toId = event.target.closest?.('.backlog-board-card')?.dataset.id;
+            this.clearBoardDragState();
+            if (!drag?.id) return;
+            if (drag.status === status) {
+                if (toId && toId !== drag.id) await this.reorderByDnD(drag.id, toId);
+                return;
+            }
+            await this.moveTaskToStatus(drag.id, status);
+        });
+    }
+
+    markBoardDropTargets(from) {
+        const transitions = this.getWorkflow().transitions;
+        for (const column of this.board?.querySelectorAll('.backlog-board-column') || []) {
+            const status = column.dataset.status;
+            const allowed = status === from || (transitions[from] || []).includes(status);
+            column.classList.toggle('is-drop-disabled', !allowed);
+        }
+    }
+
+    clearBoardDragOver() {
+        for (const node of this.board?.querySelectorAll('.is-drag-over') || []) {
+            node.classList.remove('is-drag-over');
+        }
+    }
+
+    clearBoardDragState() {
+        this.clearBoardDragOver();
+        for (const column of this.board?.querySelectorAll('.is-drop-disabled') || []) {
+            column.classList.remove('is-drop-disabled');
+        }
+    }
+
+    toggleBoardColumn(status) {
+        const collapsed = new Set(this.state.collapsedColumns);
+        if (collapsed.has(status)) {
+            collapsed.delete(status);
+        } else {
+            collapsed.add(status);
+        }
+        this.state.collapsedColumns = [...collapsed];
+        this.renderTasks();
+    }
+
+    async moveTaskToStatus(id, status) {
+        const task = (this.state.tasks || []).find((item) => item.id === id);
+        if (!task) return;
+        try {
+            await this.updateTaskStatus({
+                id,
+                status,
+                taskHash: task.taskHash,
+                sourcePath: task.sourcePath
+            });
+        } catch (error) {
+            this.setError(`Status change error: ${error?.message || error}`);
+        }
+    }
+
+    openTaskInCarousel(id) {
+        const index = (this.state.tasks || []).findIndex((task) => task.id === id);
+        if (index < 0) return;
+        this.state.currentIndex = index;
+        this.state.viewMode = 'carousel';
+        this.renderTasks();
+    }
+
 
     escapeHtml(value) {
         return String(value || '')
@@ -499,9 +1371,16 @@ export class BacklogPanel {
         if (this.backlogPath) {
             request.backlogPath = this.backlogPath;
         }
+        const options = Array.isArray(payload.options) ? payload.options.map((option) => String(option || '').trim()).filter(Boolean) : [];
+        if (options.length) request.options = options;
+        const resolution = String(payload.resolution || '').trim();
+        if (resolution) request.resolution = resolution;
+        if (Number.isInteger(payload.position) && payload.position > 0) request.position = payload.position;
+        let created = null;
         await withGlobalLoader(async () => {
             try {
                 const result = await this.callTasksTool('task_create', request);
+                created = result?.task || null;
                 await this.loadTasks();
                 const createdId = String(result?.task?.id || '').trim();
                 if (createdId && Array.isArray(this.state.tasks)) {
@@ -519,6 +1398,7 @@ export class BacklogPanel {
                 this.setError(`Task create error: ${error?.message || error}`);
             }
         });
+        return created;
     }
 
     async saveTask(payload) {
@@ -549,26 +1429,63 @@ export class BacklogPanel {
                         this.state.tasks[index] = result.task;
                     }
                 }
+                return result?.task || null;
             } catch (error) {
-                if (error?.data?.conflict) {
+                if (error?.data?.code === 'CONFLICT') {
                     await this.handleTaskConflict(error.data.conflict, payload);
-                    return;
+                    return null;
                 }
                 throw error;
             }
         };
         if (silent) {
             try {
-                await runUpdate();
+                return await runUpdate();
             } catch (error) {
                 this.setError(`Task update error: ${error?.message || error}`);
             }
-            return;
+            return null;
         }
+        let updated = null;
         await withGlobalLoader(async () => {
-            await runUpdate();
+            updated = await runUpdate();
             await this.loadTasks();
         });
+        return updated;
+    }
+
+    async updateSubtasks(toolName, payload) {
+        if (this.isHistory) return null;
+        if (!payload?.id) return null;
+        if (this.state.conflict) {
+            this.setError('Resolve .backlog conflicts before editing.');
+            return null;
+        }
+        if (!this.repoPath) return null;
+        const { taskHash, sourcePath, ...args } = payload;
+        try {
+            const result = await this.callTasksTool(toolName, {
+                ...args,
+                ifMatch: taskHash || '',
+                backlogPath: sourcePath || this.backlogPath || '',
+                repoPath: this.repoPath
+            });
+            if (result?.task && Array.isArray(this.state.tasks)) {
+                const index = this.state.tasks.findIndex((task) => task?.id === result.task.id);
+                if (index >= 0) {
+                    this.state.tasks[index] = result.task;
+                }
+            }
+            return result?.task || null;
+        } catch (error) {
+            if (error?.data?.code === 'CONFLICT') {
+                await this.loadTasks();
+                this.setError('This task changed since it was loaded. Tasks were reloaded.');
+                return null;
+            }
+            this.setError(`Subtask update error: ${error?.message || error}`);
+            return null;
+        }
     }
 
     async updateTaskStatus(payload) {
@@ -597,7 +1514,7 @@ export class BacklogPanel {
                     repoPath: this.repoPath
                 });
             } catch (error) {
-                if (error?.data?.conflict) {
+                if (error?.data?.code === 'CONFLICT') {
                     await this.handleTaskConflict(error.data.conflict, payload);
                     return;
                 }
@@ -607,6 +1524,28 @@ export class BacklogPanel {
         });
     }
 
+    async restoreTask(payload) {
+        if (!this.isHistory) return;
+        if (!payload?.id || !this.repoPath || !this.backlogPath) return;
+        if (this.state.conflict) {
+            this.setError('Resolve .history conflicts before reopening tasks.');
+            return;
+        }
+        await withGlobalLoader(async () => {
+            try {
+                await this.callTasksTool('task_restore', {
+                    ids: [payload.id],
+                    backlogPath: this.backlogPath,
+                    repoPath: this.repoPath
+                });
+            } catch (error) {
+                this.setError(`Reopen error: ${error?.message || error}`);
+                return;
+            }
+            await this.loadTasks();
+        });
+    }
+
     async deleteTask(payload) {
         if (this.isHistory) return;
         const id = payload?.id;
@@ -622,16 +1561,24 @@ export class BacklogPanel {
         }
         const ok = window.confirm('Delete this task?');
         if (!ok) return;
+        const request = {
+            id,
+            ifMatch: payload.taskHash || '',
+            repoPath: this.repoPath,
+            backlogPath: payload.sourcePath || this.backlogPath || ''
+        };
         await withGlobalLoader(async () => {
             try {
-                await this.callTasksTool('task_delete', {
-                    id,
-                    repoPath: this.repoPath,
-                    backlogPath: payload.sourcePath || this.backlogPath || ''
-                });
+                await this.callTasksTool('task_delete', request);
             } catch (error) {
-                const message = String(error?.message || error);
-                if (!message.includes('Task not found')) {
+                if (error?.data?.code === 'CONFLICT') {
+                    const force = window.confirm('This task changed since it was loaded. Delete it anyway?');
+                    if (force) {
+                        await this.callTasksTool('task_delete', { ...request, force: true });
+                    }
+                    return;
+                }
+                if (error?.data?.code !== 'NOT_FOUND') {
                     throw error;
                 }
             } finally {
@@ -640,6 +1587,85 @@ export class BacklogPanel {
         });
     }
 
+    async openMoveTaskModal(payload) {
+        if (this.isHistory) return;
+        if (!payload?.id || !this.repoPath) return;
+        if (this.state.conflict) {
+            this.setError('Resolve .backlog conflicts before editing.');
+            return;
+        }
+        const sourcePath = payload.sourcePath || this.backlogPath || '';
+        if (!sourcePath) {
+            this.setError('Select a .backlog file before moving tasks.');
+            return;
+        }
+        let backlogs = [];
+        try {
+            const result = await this.callTasksTool('task_backlog_list', { repoPath: this.repoPath });
+            backlogs = Array.isArray(result?.backlogs) ? result.backlogs : [];
+        } catch (error) {
+            this.setError(`Backlog list error: ${error?.message || error}`);
+            return;
+        }
+        const choice = await this.openModal('backlog-move-modal', {
+            backlogs: encodeURIComponent(JSON.stringify(backlogs)),
+            currentPath: encodeURIComponent(JSON.stringify(sourcePath))
+        });
+        if (!choice?.targetBacklogPath) return;
+        await withGlobalLoader(async () => {
+            try {
+                await this.callTasksTool('task_move', {
+                    id: payload.id,
+                    ifMatch: payload.taskHash || '',
+                    copy: Boolean(choice.copy),
+                    backlogPath: sourcePath,
+                    targetBacklogPath: choice.targetBacklogPath,
+                    repoPath: this.repoPath
+                });
+            } catch (error) {
+                if (error?.data?.code === 'CONFLICT') {
+                    await this.loadTasks();
+                    this.setError('This task changed since it was loaded. Review it and try again.');
+                    return;
+                }
+                this.setError(`Move error: ${error?.message || error}`);
+                return;
+            }
+            await this.loadTasks();
+        });
+    }
+
+    async undoLast() {
+        await this.runUndoTool('task_undo');
+    }
+
+    async redoLast() {
+        await this.runUndoTool('task_redo');
+    }
+
+    async runUndoTool(toolName) {
+        if (this.isHistory || this.state.scope === 'repo') return;
+        if (!this.repoPath || !this.backlogPath) return;
+        if (this.state.conflict) {
+            this.setError('Resolve .backlog conflicts before editing.');
+            return;
+        }
+        await withGlobalLoader(async () => {
+            try {
+                await this.callTasksTool(toolName, {
+                    backlogPath: this.backlogPath,
+                    repoPath: this.repoPath
+                });
+                await this.loadTasks();
+            } catch (error) {
+                if (error?.data?.code === 'CONFLICT') {
+                    await this.loadTasks();
+                }
+                this.setError(String(error?.message || error));
+            }
+        });
+    }
+
     async refreshBacklog(button) {
         if (button) button.disabled = true;
         await this.refreshAll();
@@ -651,10 +1677,43 @@ export class BacklogPanel {
             this.setError('Resolve .backlog conflicts before editing.');
             return;
         }
-        const payload = await assistOS.UI.createReactiveModal('backlog-create-modal', {
-        }, true);
-        if (payload && typeof payload.description === 'string' && payload.description.trim()) {
-            await this.createBacklogTask(payload);
+        // With "Create another" ticked the modal reopens after each task, keeping its position
+        // choice, so a run of tasks can be entered without leaving the keyboard.
+        let defaults = { placement: 'end', createAnother: false };
+        let created = 0;
+        // Positions come from the task's backlog order, not its index in the filtered view.
+        const current = this.state.scope === 'file' ? this.getCurrentTask() : null;
+        let anchorOrder = Number(current?.order) || 0;
+        for (;;) {
+            const payload = await this.openModal('backlog-create-modal', {
+                defaults: encodeURIComponent(JSON.stringify({ ...defaults, created, currentOrder: anchorOrder }))
+            });
+            if (!payload || typeof payload.description !== 'string' || !payload.description.trim()) return;
+            const task = await this.createBacklogTask({ ...payload, position: this.getCreatePosition(payload.placement, anchorOrder) });
+            if (!task || !payload.createAnother) return;
+            created += 1;
+            // The next task goes after this one, which may be hidden by the current filters,
+            // so a run keeps the order it was typed in.
+            anchorOrder = Number(task.order) || 0;
+            defaults = { placement: payload.placement === 'end' ? 'end' : 'after', createAnother: true };
+        }
+    }
+
+    getCreatePosition(placement, anchorOrder) {
+        if (placement === 'start') return 1;
+        if (placement === 'after' && anchorOrder > 0) return anchorOrder + 1;
+        return undefined;
+    }
+
+    setSearchError(message) {
+        const text = String(message || '');
+        if (this.searchFilter) {
+            this.searchFilter.classList.toggle('is-invalid', Boolean(text));
+            this.searchFilter.setAttribute('aria-invalid', text ? 'true' : 'false');
+        }
+        if (this.searchError) {
+            this.searchError.textContent = text;
+            this.searchError.classList.toggle('is-visible', Boolean(text));
         }
     }
 
@@ -772,16 +1831,20 @@ export class BacklogPanel {
             this.setError('This task was updated by someone else.');
             return;
         }
-        const incomingMerged = { ...conflict.current, ...incoming };
-        const payload = await assistOS.UI.createReactiveModal('backlog-conflict-modal', {
+        const { taskHash, sourcePath, silent, ...edits } = incoming || {};
+        const base = (this.state.tasks || []).find((task) => task?.id === edits.id && task.taskHash === taskHash)
+            || conflict.current;
+        const changes = editedFields(edits, base);
+        const incomingMerged = { ...conflict.current, ...changes };
+        const payload = await this.openModal('backlog-conflict-modal', {
             current: encodeURIComponent(JSON.stringify(conflict.current)),
-            incoming: encodeURIComponent(JSON.stringify(incomingMerged || {}))
-        }, true);
+            incoming: encodeURIComponent(JSON.stringify(incomingMerged))
+        });
         if (payload?.resolution === 'keep') {
             await this.callTasksTool('task_update', {
-                ...incomingMerged,
+                ...changes,
                 force: true,
-                backlogPath: incomingMerged.sourcePath || conflict.current.sourcePath || '',
+                backlogPath: sourcePath || conflict.current.sourcePath || this.backlogPath || '',
                 repoPath: this.repoPath
             });
             await this.loadTasks();
@@ -0,0 +1,52 @@
+export class BacklogShortcutsModal {
+    constructor(element, invalidate) {
+        this.element = element;
+        this.invalidate = invalidate;
+        this.props = element?.props || element?._componentProxy?.props || {};
+        this.invalidate();
+    }
+
+    beforeRender() {}
+
+    afterRender() {
+        this.list = this.element.querySelector('#backlogShortcutsList');
+        this.renderShortcuts(this.parsePayload(this.props?.shortcuts));
+        if (!this.element.dataset.boundShortcuts) {
+            this.element.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape' || event.key === '?') {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this.closeModal();
+                }
+            });
+            this.element.dataset.boundShortcuts = 'true';
+        }
+        this.element.setAttribute('tabindex', '-1');
+        this.element.focus();
+    }
+
+    parsePayload(raw) {
+        if (!raw) return null;
+        try {
+            return JSON.parse(decodeURIComponent(raw));
+        } catch {
+            return null;
+        }
+    }
+
+    renderShortcuts(shortcuts) {
+        if (!this.list) return;
+        this.list.innerHTML = '';
+        for (const shortcut of Array.isArray(shortcuts) ? shortcuts : []) {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td><kbd class="backlog-shortcut-key"></kbd></td><td></td>';
+            row.querySelector('kbd').textContent = shortcut.shortcut || '';
+            row.lastElementChild.textContent = shortcut.label || '';
+            this.list.appendChild(row);
+        }
+    }
+
+    closeModal() {
+        assistOS.UI.closeModal(this.element, null);
+    }
+}
@@ -0,0 +1,199 @@
+// Renders the Markdown subset used in task descriptions and resolutions. All text is escaped
+// before markup is added, so task content can never inject HTML into the panel.
+
+const FENCE = /^\s*(```|~~~)\s*([\w+#-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const FILE_PATH = /^(?:\.\/)?[\w@.-]+(?:\/[\w@.-]+)*\.[A-Za-z0-9]+(?::\d+)?$/;
+
+const KEYWORDS = new Set([
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'def', 'default', 'delete', 'do',
+    'elif', 'else', 'export', 'extends', 'false', 'fi', 'finally', 'for', 'from', 'function', 'if', 'import', 'in',
+    'instanceof', 'let', 'new', 'None', 'null', 'pass', 'return', 'self', 'static', 'super', 'switch', 'then',
+    'this', 'throw', 'true', 'True', 'False', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield'
+]);
+const HASH_COMMENT_LANGUAGES = new Set(['sh', 'bash', 'shell', 'zsh', 'py', 'python', 'yaml', 'yml', 'toml', 'rb', 'ruby']);
+
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+export function renderMarkdown(text) {
+    return renderBlocks(String(text || '').replace(/\r\n?/g, '\n').split('\n'));
+}
+
+// Repo-relative targets are returned without a leading "./" or "/" and without a ":line"
+// suffix; anything that could leave the repository is rejected.
+export function toRepoRelativePath(target) {
+    const value = String(target || '').trim().replace(/\\/g, '/').replace(/[#?].*$/, '').replace(/:\d+$/, '');
+    if (!value || /^[a-z][a-z0-9+.-]*:/i.test(value)) return '';
+    const parts = value.replace(/^\.?\/+/, '').split('/').filter((part) => part && part !== '.');
+    if (!parts.length || parts.includes('..')) return '';
+    return parts.join('/');
+}
+
+function renderBlocks(lines) {
+    const html = [];
+    let paragraph = [];
+    const flushParagraph = () => {
+        if (paragraph.length) html.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+        paragraph = [];
+    };
+    for (let i = 0; i < lines.length; i += 1) {
+        const line = lines[i];
+        const fence = line.match(FENCE);
+        if (fence) {
+            flushParagraph();
+            const code = [];
+            for (i += 1; i < lines.length && lines[i].trim() !== fence[1]; i += 1) {
+                code.push(lines[i]);
+            }
+            html.push(renderCodeBlock(code.join('\n'), fence[2].toLowerCase()));
+            continue;
+        }
+        if (!line.trim()) {
+            flushParagraph();
+            continue;
+        }
+        const heading = line.match(HEADING);
+        if (heading) {
+            flushParagraph();
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            continue;
+        }
+        if (RULE.test(line)) {
+            flushParagraph();
+            html.push('<hr>');
+            continue;
+        }
+        if (QUOTE.test(line)) {
+            flushParagraph();
+            const quoted = [];
+            for (; i < lines.length && QUOTE.test(lines[i]); i += 1) {
+                quoted.push(lines[i].match(QUOTE)[1]);
+            }
+            i -= 1;
+            html.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+            continue;
+        }
+        if (LIST_ITEM.test(line)) {
+            flushParagraph();
+            const [, baseIndent, baseMarker] = line.match(LIST_ITEM);
+            const block = [];
+            for (; i < lines.length; i += 1) {
+                const next = lines[i];
+                const item = next.match(LIST_ITEM);
+                // A top-level item with the other kind of marker starts a new list.
+                if (item && item[1].length <= baseIndent.length && /^\d/.test(item[2]) !== /^\d/.test(baseMarker)) break;
+                if (item || (block.length && /^\s+\S/.test(next))) {
+                    block.push(next);
+                } else {
+                    break;
+                }
+            }
+            i -= 1;
+            html.push(renderList(block));
+            continue;
+        }
+        paragraph.push(line);
+    }
+    flushParagraph();
+    return html.join('');
+}
+
+function renderList(lines) {
+    const indent = Math.min(...lines.filter((line) => LIST_ITEM.test(line)).map((line) => line.match(LIST_ITEM)[1].length));
+    const items = [];
+    for (const line of lines) {
+        const match = line.match(LIST_ITEM);
+        if (match && match[1].length === indent) {
+            items.push({ marker: match[2], text: match[3], children: [] });
+        } else if (items.length) {
+            items[items.length - 1].children.push(line.slice(Math.min(indent + 2, line.search(/\S/))));
+        }
+    }
+    const ordered = /^\d/.test(items[0]?.marker || '');
+    const start = ordered && Number.parseInt(items[0].marker, 10) !== 1 ? ` start="${Number.parseInt(items[0].marker, 10)}"` : '';
+    const body = items.map((item) => {
+        const check = item.text.match(/^\[([ xX])\]\s+(.*)$/);
+        const text = check
+            ? `<input type="checkbox" disabled${check[1] === ' ' ? '' : ' checked'}> ${renderInline(check[2])}`
+            : renderInline(item.text);
+        const nested = item.children.length ? renderBlocks(item.children) : '';
+        return `<li${check ? ' class="is-check"' : ''}>${text}${nested}</li>`;
+    }).join('');
+    return ordered ? `<ol${start}>${body}</ol>` : `<ul>${body}</ul>`;
+}
+
+function renderInline(text) {
+    const stash = [];
+    const hold = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+    let value = String(text)
+        .replace(/`([^`\n]+)`/g, (_match, code) => hold(renderInlineCode(code)))
+        .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, target) => {
+            const link = renderLink(target, renderEmphasis(label));
+            return link ? hold(link) : match;
+        })
+        .replace(/\bhttps?:\/\/[^\s<>()]+[^\s<>().,;:!?'"]/g, (url) => hold(renderLink(url, escapeHtml(url))));
+    value = renderEmphasis(value).replace(/\n/g, '<br>');
+    return value.replace(/\u0000(\d+)\u0000/g, (_match, index) => stash[Number(index)]);
+}
+
+function renderEmphasis(text) {
+    return escapeHtml(text)
+        .replace(/\*\*(\S(?:[^*]*\S)?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w*])[*_](\S(?:[^*_\n]*\S)?)[*_](?![\w*])/g, '$1<em>$2</em>')
+        .replace(/~~(\S(?:[^~]*\S)?)~~/g, '<del>$1</del>');
+}
+
+function renderInlineCode(code) {
+    const path = FILE_PATH.test(code) ? toRepoRelativePath(code) : '';
+    const html = `<code>${escapeHtml(code)}</code>`;
+    return path ? `<a class="backlog-md-file" href="#" data-file-path="${escapeHtml(path)}" title="Open ${escapeHtml(path)}">${html}</a>` : html;
+}
+
+function renderLink(target, labelHtml) {
+    if (/^(https?:|mailto:)/i.test(target)) {
+        return `<a href="${escapeHtml(target)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+    }
+    const path = toRepoRelativePath(target);
+    if (!path) return '';
+    return `<a class="backlog-md-file" href="#" data-file-path="${escapeHtml(path)}" title="Open ${escapeHtml(path)}">${labelHtml}</a>`;
+}
+
+function renderCodeBlock(code, language) {
+    const className = language ? ` class="language-${escapeHtml(language)}"` : '';
+    return `<pre class="backlog-md-code"><code${className}>${highlightCode(code, language)}</code></pre>`;
+}
+
+// A light tokenizer shared by the languages tasks usually quote: comments, strings,
+// numbers and common keywords are wrapped in spans, everything else is left as text.
+export function highlightCode(code, language = '') {
+    if (!language || language === 'text' || language === 'txt') return escapeHtml(code);
+    const hashComments = HASH_COMMENT_LANGUAGES.has(language);
+    const pattern = hashComments
+        ? /(#[^\n]*)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')|(\b\d[\d_.]*(?:e[+-]?\d+)?\b)|([A-Za-z_$][\w$]*)/g
+        : /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|(\b\d[\d_.]*(?:e[+-]?\d+)?\b)|([A-Za-z_$][\w$]*)/g;
+    let html = '';
+    let last = 0;
+    for (const match of code.matchAll(pattern)) {
+        const [token, comment, string, number, word] = match;
+        html += escapeHtml(code.slice(last, match.index));
+        last = match.index + token.length;
+        let kind = '';
+        if (comment) kind = 'comment';
+        else if (string) kind = 'string';
+        else if (number) kind = 'number';
+        else if (word && KEYWORDS.has(word)) kind = 'keyword';
+        html += kind ? `<span class="md-tok-${kind}">${escapeHtml(token)}</span>` : escapeHtml(token);
+    }
+    return html + escapeHtml(code.slice(last));
+}
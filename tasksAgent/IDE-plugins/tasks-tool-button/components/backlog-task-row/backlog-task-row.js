@@ -1,3 +1,5 @@
+import { renderMarkdown } from './backlog-markdown.js';
+
 export class BacklogTaskRow {
     constructor(element, invalidate, props = {}) {
         this.element = element;
@@ -6,8 +8,11 @@ export class BacklogTaskRow {
         this.state = {
             task: null,
             statuses: {},
+            workflow: { transitions: {}, editableStatuses: ['new'] },
+            priorities: [],
             repos: [],
-            readOnly: false
+            readOnly: false,
+            editing: { description: false, resolution: false }
         };
         this.saveTimer = null;
         this.invalidate();
@@ -19,6 +24,7 @@ export class BacklogTaskRow {
         this.cacheElements();
         this.loadFromAttributes();
         this.bindEvents();
+        this.bindMarkdownViews();
         this.applyState();
     }
 
@@ -26,22 +32,46 @@ export class BacklogTaskRow {
         this.root = this.element.querySelector('.backlog-task-row');
         this.descInput = this.element.querySelector('[data-field="description"]');
         this.resolutionInput = this.element.querySelector('[data-field="resolution"]');
+        this.descView = this.element.querySelector('[data-field="descriptionView"]');
+        this.resolutionView = this.element.querySelector('[data-field="resolutionView"]');
+        this.descToggle = this.element.querySelector('[data-field="descriptionToggle"]');
+        this.resolutionToggle = this.element.querySelector('[data-field="resolutionToggle"]');
         this.optionsList = this.element.querySelector('[data-field="optionsList"]');
+        this.assigneeInput = this.element.querySelector('[data-field="assignee"]');
+        this.prioritySelect = this.element.querySelector('[data-field="priority"]');
+        this.dueDateInput = this.element.querySelector('[data-field="dueDate"]');
+        this.estimateInput = this.element.querySelector('[data-field="estimate"]');
+        this.tagsInput = this.element.querySelector('[data-field="tags"]');
+        this.customFields = this.element.querySelector('[data-field="customFields"]');
+        this.completion = this.element.querySelector('[data-field="completion"]');
+        this.checklist = this.element.querySelector('[data-field="checklist"]');
+        this.checklistItems = this.element.querySelector('[data-field="checklistItems"]');
+        this.progressLabel = this.element.querySelector('[data-field="progress"]');
+        this.subtaskInput = this.element.querySelector('[data-field="subtaskInput"]');
         this.orderControls = this.element.querySelector('[data-field="orderControls"]');
         this.statusWrap = this.element.querySelector('.backlog-task-status-wrap');
         this.statusIcon = this.element.querySelector('[data-field="statusIcon"]');
         this.statusLabel = this.element.querySelector('[data-field="statusLabel"]');
         this.quickActions = this.element.querySelector('[data-field="quickActions"]');
+        this.historyActions = this.element.querySelector('[data-field="historyActions"]');
+        this.transitionActions = this.element.querySelector('[data-field="transitionActions"]');
         this.approveButton = this.element.querySelector('[data-local-action="approveTask"]');
         this.deleteButton = this.element.querySelector('[data-local-action="deleteTask"]');
+        this.moveButton = this.element.querySelector('[data-local-action="moveTask"]');
     }
 
     loadFromAttributes() {
         const taskPayload = this.element.getAttribute('data-task');
         const statusesPayload = this.element.getAttribute('data-statuses');
+        const workflowPayload = this.parsePayload(this.element.getAttribute('data-workflow')) || {};
         const readOnlyPayload = String(this.element.getAttribute('data-readonly') || '').trim();
         this.state.task = this.parsePayload(taskPayload) || {};
         this.state.statuses = this.parsePayload(statusesPayload) || {};
+        this.state.workflow = {
+            transitions: workflowPayload.transitions && typeof workflowPayload.transitions === 'object' ? workflowPayload.transitions : {},
+            editableStatuses: Array.isArray(workflowPayload.editableStatuses) ? workflowPayload.editableStatuses : ['new']
+        };
+        this.state.priorities = Array.isArray(workflowPayload.priorities) ? workflowPayload.priorities : [];
         this.state.repos = [];
         this.state.readOnly = readOnlyPayload === 'true';
     }
@@ -77,12 +107,111 @@ export class BacklogTaskRow {
                 scheduleSave();
             });
         }
+        for (const field of ['description', 'resolution']) {
+            const { input, toggle } = this.getMarkdownField(field);
+            input?.addEventListener('blur', (event) => {
+                // The toggle handles its own click; leaving through it must not flip the mode twice.
+                if (event.relatedTarget && event.relatedTarget === toggle) return;
+                this.state.editing[field] = false;
+                this.renderMarkdownViews();
+            });
+        }
+        for (const input of this.getMetadataInputs()) {
+            input.addEventListener('change', scheduleSave);
+        }
+        this.subtaskInput?.addEventListener('keydown', (event) => {
+            if (event.key !== 'Enter') return;
+            event.preventDefault();
+            this.addSubtask();
+        });
+    }
+
+    bindMarkdownViews() {
+        for (const field of ['description', 'resolution']) {
+            const { input, view } = this.getMarkdownField(field);
+            view?.addEventListener('click', (event) => {
+                const fileLink = event.target.closest?.('a[data-file-path]');
+                if (fileLink) {
+                    event.preventDefault();
+                    this.getParentPresenter()?.openRepoFile?.(fileLink.dataset.filePath);
+                    return;
+                }
+                if (event.target.closest?.('a')) return;
+                if (input && !input.disabled && !window.getSelection?.()?.toString()) {
+                    this.startEditing(field);
+                }
+            });
+        }
+    }
+
+    getMarkdownField(field) {
+        return field === 'resolution'
+            ? { input: this.resolutionInput, view: this.resolutionView, toggle: this.resolutionToggle }
+            : { input: this.descInput, view: this.descView, toggle: this.descToggle };
+    }
+
+    // Text is stored as plain Markdown; a field shows its rendered view unless it is being
+    // edited or is still empty and editable, in which case the textarea takes its place.
+    renderMarkdownViews() {
+        for (const field of ['description', 'resolution']) {
+            const { input, view, toggle } = this.getMarkdownField(field);
+            if (!input || !view) continue;
+            const hasText = Boolean(input.value.trim());
+            const canEdit = !input.disabled;
+            const editing = canEdit && (this.state.editing[field] || !hasText);
+            const showView = hasText && !editing;
+            view.innerHTML = showView ? renderMarkdown(input.value) : '';
+            view.style.display = showView ? '' : 'none';
+            view.classList.toggle('is-editable', canEdit);
+            view.title = canEdit ? 'Click to edit' : '';
+            input.style.display = showView ? 'none' : '';
+            if (toggle) {
+                toggle.style.display = canEdit && hasText ? '' : 'none';
+                toggle.textContent = editing ? 'Preview' : 'Edit';
+            }
+        }
+        this.resizeDescription();
+        this.resizeResolution();
+    }
+
+    startEditing(field) {
+        const { input } = this.getMarkdownField(field);
+        if (!input || input.disabled) return;
+        this.state.editing[field] = true;
+        this.renderMarkdownViews();
+        input.focus();
+        input.setSelectionRange?.(input.value.length, input.value.length);
+    }
+
+    toggleEditing(field) {
+        if (this.state.editing[field]) {
+            this.state.editing[field] = false;
+            this.renderMarkdownViews();
+            return;
+        }
+        this.startEditing(field);
+    }
+
+    toggleDescriptionEdit() {
+        this.toggleEditing('description');
+    }
+
+    toggleResolutionEdit() {
+        this.toggleEditing('resolution');
+    }
+
+    getMetadataInputs() {
+        return [this.assigneeInput, this.prioritySelect, this.dueDateInput, this.estimateInput, this.tagsInput]
+            .filter(Boolean);
     }
 
     applyState() {
         const task = this.state.task || {};
         if (this.descInput) this.descInput.value = task.description || '';
         if (this.resolutionInput) this.resolutionInput.value = task.resolution || '';
+        this.renderMetadata();
+        this.renderCompletion();
+        this.renderChecklist();
 
         this.syncStatusIcon();
         this.updateQuickActions();
@@ -90,8 +219,7 @@ export class BacklogTaskRow {
         this.syncStatusIcon();
         this.renderOptions();
 
-        this.resizeDescription();
-        this.resizeResolution();
+        this.renderMarkdownViews();
         this.updateApproveState();
         this.ensureAutoSelection();
     }
@@ -117,24 +245,46 @@ export class BacklogTaskRow {
         }
     }
 
+    getStatus() {
+        return String(this.state.task?.status || '').trim();
+    }
+
+    isEditableStatus(status = this.getStatus()) {
+        return this.state.workflow.editableStatuses.includes(status);
+    }
+
+    getAllowedTransitions(status = this.getStatus()) {
+        const targets = this.state.workflow.transitions?.[status];
+        return Array.isArray(targets) ? targets : [];
+    }
+
+    canTransitionTo(target) {
+        return this.getAllowedTransitions().includes(target);
+    }
+
     updateFieldAccess() {
-        const status = String(this.state.task?.status || '').trim();
-        const editableStatuses = new Set(['new']);
         const isReadOnly = Boolean(this.state.readOnly);
-        const canEditAll = !isReadOnly && editableStatuses.has(status);
+        const canEditAll = !isReadOnly && this.isEditableStatus();
         if (this.descInput) this.descInput.disabled = !canEditAll;
         if (this.resolutionInput) this.resolutionInput.disabled = !canEditAll;
+        for (const input of this.getMetadataInputs()) {
+            input.disabled = !canEditAll;
+        }
         if (this.optionsList) {
             this.optionsList.classList.toggle('is-disabled', !canEditAll);
             for (const button of Array.from(this.optionsList.querySelectorAll('button'))) {
                 button.disabled = !canEditAll;
             }
         }
-        if (this.approveButton) this.approveButton.disabled = !canEditAll || !this.hasResolution();
+        if (this.approveButton) this.approveButton.disabled = !this.canTransitionTo('approved') || !this.hasResolution();
         if (this.deleteButton) {
             this.deleteButton.disabled = !canEditAll;
             this.deleteButton.style.display = isReadOnly ? 'none' : '';
         }
+        if (this.moveButton) {
+            this.moveButton.disabled = isReadOnly;
+            this.moveButton.style.display = isReadOnly ? 'none' : '';
+        }
         if (this.orderControls) {
             const buttons = Array.from(this.orderControls.querySelectorAll('button'));
             for (const button of buttons) {
@@ -144,22 +294,208 @@ export class BacklogTaskRow {
     }
 
     updateQuickActions() {
+        if (this.historyActions) {
+            this.historyActions.style.display = this.state.readOnly ? '' : 'none';
+        }
         if (!this.quickActions) return;
         if (this.state.readOnly) {
             this.quickActions.style.display = 'none';
             return;
         }
         this.quickActions.style.display = '';
-        const status = String(this.state.task?.status || '').trim();
         const visibility = {
-            approveTask: status === 'new',
-            markDone: false
+            approveTask: this.canTransitionTo('approved'),
+            markDone: this.canTransitionTo('done')
         };
         for (const button of Array.from(this.quickActions.querySelectorAll('button[data-local-action]'))) {
             const action = button.getAttribute('data-local-action');
             const show = Boolean(visibility[action]);
             button.style.display = show ? '' : 'none';
         }
+        this.renderTransitionActions();
+    }
+
+    renderTransitionActions() {
+        if (!this.transitionActions) return;
+        this.transitionActions.innerHTML = '';
+        const targets = this.getAllowedTransitions().filter((target) => target !== 'approved' && target !== 'done');
+        for (const target of targets) {
+            const label = this.state.statuses?.[target] || target;
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `quick-action status-${target}`;
+            button.dataset.status = target;
+            button.title = `Move to ${label}`;
+            button.textContent = label;
+            button.addEventListener('click', () => this.dispatchStatus(target));
+            this.transitionActions.appendChild(button);
+        }
+    }
+
+    renderMetadata() {
+        const task = this.state.task || {};
+        if (this.assigneeInput) this.assigneeInput.value = task.assignee || '';
+        if (this.dueDateInput) this.dueDateInput.value = task.dueDate || '';
+        if (this.estimateInput) this.estimateInput.value = task.estimate ?? '';
+        if (this.tagsInput) this.tagsInput.value = Array.isArray(task.tags) ? task.tags.join(', ') : '';
+        if (this.prioritySelect) {
+            this.prioritySelect.innerHTML = '';
+            this.prioritySelect.appendChild(new Option('None', ''));
+            const priorities = [...this.state.priorities];
+            if (task.priority && !priorities.includes(task.priority)) priorities.push(task.priority);
+            for (const priority of priorities) {
+                this.prioritySelect.appendChild(new Option(priority, priority));
+            }
+            this.prioritySelect.value = task.priority || '';
+        }
+        if (this.customFields) {
+            this.customFields.innerHTML = '';
+            const entries = Object.entries(task.custom || {});
+            this.customFields.style.display = entries.length ? '' : 'none';
+            for (const [key, value] of entries) {
+                const chip = document.createElement('span');
+                chip.className = 'backlog-task-custom-field';
+                chip.textContent = `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`;
+                this.customFields.appendChild(chip);
+            }
+        }
+    }
+
+    getMetadataValues() {
+        const estimateRaw = String(this.estimateInput?.value || '').trim();
+        const estimateNumber = Number(estimateRaw);
+        return {
+            assignee: this.assigneeInput?.value || '',
+            priority: this.prioritySelect?.value || '',
+            dueDate: this.dueDateInput?.value || '',
+            estimate: estimateRaw && Number.isFinite(estimateNumber) ? estimateNumber : estimateRaw,
+            tags: String(this.tagsInput?.value || '').split(',').map((tag) => tag.trim()).filter(Boolean)
+        };
+    }
+
+    renderCompletion() {
+        if (!this.completion) return;
+        const task = this.state.task || {};
+        const fromLabel = task.completedFrom ? this.state.statuses?.[task.completedFrom] || task.completedFrom : '';
+        const entries = [
+            ['Created', this.formatTimestamp(task.createdAt)],
+            ['Completed', this.formatTimestamp(task.completedAt)],
+            ['Completed by', task.completedBy],
+            ['Completed from', fromLabel],
+            ['Note', task.completionNote],
+            ['Commit', task.completionCommit]
+        ].filter(([, value]) => value);
+        this.completion.innerHTML = '';
+        this.completion.style.display = task.completedAt ? '' : 'none';
+        if (!task.completedAt) return;
+        for (const [label, value] of entries) {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            this.completion.append(term, detail);
+        }
+    }
+
+    formatTimestamp(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+    }
+
+    renderChecklist() {
+        if (!this.checklist) return;
+        const subtasks = Array.isArray(this.state.task?.subtasks) ? this.state.task.subtasks : [];
+        const progress = this.state.task?.progress;
+        const readOnly = Boolean(this.state.readOnly);
+        // Steps can be ticked in any status, but only added, moved or removed while the task is editable.
+        const locked = readOnly || !this.isEditableStatus();
+        this.checklist.style.display = subtasks.length || !locked ? '' : 'none';
+        if (this.progressLabel) {
+            this.progressLabel.textContent = progress?.total ? `${progress.done}/${progress.total}` : '';
+        }
+        if (this.subtaskInput) this.subtaskInput.style.display = locked ? 'none' : '';
+        if (!this.checklistItems) return;
+        this.checklistItems.innerHTML = '';
+        subtasks.forEach((subtask, index) => {
+            const item = document.createElement('li');
+            item.className = 'backlog-task-checklist-item';
+            item.classList.toggle('is-done', Boolean(subtask.done));
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = Boolean(subtask.done);
+            checkbox.disabled = readOnly;
+            checkbox.addEventListener('change', () => this.toggleSubtask(subtask.id, checkbox.checked));
+            const text = document.createElement('span');
+            text.className = 'backlog-task-checklist-text';
+            text.textContent = subtask.description || '';
+            label.append(checkbox, text);
+            item.appendChild(label);
+            if (!locked) {
+                item.append(
+                    this.createChecklistButton('▲', 'Move step up', index === 0, () => this.moveSubtask(index, -1)),
+                    this.createChecklistButton('▼', 'Move step down', index === subtasks.length - 1, () => this.moveSubtask(index, 1)),
+                    this.createChecklistButton('×', 'Remove step', false, () => this.removeSubtask(subtask.id))
+                );
+            }
+            this.checklistItems.appendChild(item);
+        });
+    }
+
+    createChecklistButton(text, title, disabled, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.title = title;
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    async runSubtaskTool(toolName, args) {
+        const task = this.state.task || {};
+        const updated = await this.getParentPresenter()?.updateSubtasks?.(toolName, {
+            id: task.id,
+            ...args,
+            taskHash: task.taskHash,
+            sourcePath: task.sourcePath
+        });
+        if (!updated) {
+            this.renderChecklist();
+            return;
+        }
+        this.state.task = {
+            ...this.state.task,
+            subtasks: updated.subtasks || [],
+            progress: updated.progress,
+            taskHash: updated.taskHash
+        };
+        this.renderChecklist();
+    }
+
+    addSubtask() {
+        const description = String(this.subtaskInput?.value || '').trim();
+        if (!description) return;
+        this.subtaskInput.value = '';
+        this.runSubtaskTool('task_subtask_add', { description });
+    }
+
+    toggleSubtask(subtaskId, done) {
+        this.runSubtaskTool('task_subtask_toggle', { subtaskId, done });
+    }
+
+    moveSubtask(index, delta) {
+        const order = (this.state.task?.subtasks || []).map((subtask) => subtask.id);
+        const target = index + delta;
+        if (target < 0 || target >= order.length) return;
+        const [moved] = order.splice(index, 1);
+        order.splice(target, 0, moved);
+        this.runSubtaskTool('task_subtask_reorder', { order });
+    }
+
+    removeSubtask(subtaskId) {
+        this.runSubtaskTool('task_subtask_remove', { subtaskId });
     }
 
     resizeDescription() {
@@ -189,7 +525,7 @@ export class BacklogTaskRow {
     setResolutionLines(lines) {
         if (!this.resolutionInput) return;
         this.resolutionInput.value = lines.join('\n');
-        this.resizeResolution();
+        this.renderMarkdownViews();
         this.syncOptionSelectionFromResolution();
         this.updateApproveState();
         this.queueSave();
@@ -208,20 +544,17 @@ export class BacklogTaskRow {
 
     updateApproveState() {
         if (!this.approveButton) return;
-        const status = String(this.state.task?.status || '').trim();
-        const canEdit = status === 'new';
-        this.approveButton.disabled = !canEdit || !this.hasResolution();
+        this.approveButton.disabled = !this.canTransitionTo('approved') || !this.hasResolution();
     }
 
     ensureAutoSelection() {
         const options = this.getOptions();
         if (!options.length || options.length !== 1) return;
-        const status = String(this.state.task?.status || '').trim();
-        if (status !== 'new') return;
+        if (!this.isEditableStatus()) return;
         if (!this.resolutionInput) return;
         if (this.hasResolution()) return;
         this.resolutionInput.value = options[0];
-        this.resizeResolution();
+        this.renderMarkdownViews();
         this.syncOptionSelectionFromResolution();
         this.updateApproveState();
     }
@@ -284,17 +617,21 @@ export class BacklogTaskRow {
         }, 300);
     }
 
-    saveTask() {
+    async saveTask() {
         const task = this.state.task || {};
         const payload = {
             id: task.id,
             description: this.descInput?.value || '',
             resolution: this.resolutionInput?.value || '',
+            ...this.getMetadataValues(),
             taskHash: task.taskHash,
             sourcePath: task.sourcePath,
             silent: true
         };
-        this.getParentPresenter()?.saveTask?.(payload);
+        const updated = await this.getParentPresenter()?.saveTask?.(payload);
+        if (updated?.taskHash) {
+            this.state.task = { ...this.state.task, taskHash: updated.taskHash };
+        }
     }
 
     approveTask() {
@@ -319,9 +656,19 @@ export class BacklogTaskRow {
         this.getParentPresenter()?.updateTaskStatus?.(payload);
     }
 
+    reopenTask() {
+        const task = this.state.task || {};
+        this.getParentPresenter()?.restoreTask?.({ id: task.id });
+    }
+
     deleteTask() {
         const task = this.state.task || {};
-        this.getParentPresenter()?.deleteTask?.({ id: task.id, sourcePath: task.sourcePath });
+        this.getParentPresenter()?.deleteTask?.({ id: task.id, taskHash: task.taskHash, sourcePath: task.sourcePath });
+    }
+
+    moveTask() {
+        const task = this.state.task || {};
+        this.getParentPresenter()?.openMoveTaskModal?.({ id: task.id, taskHash: task.taskHash, sourcePath: task.sourcePath });
     }
 
     moveUp() {
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  escapeHtml,
+  renderMarkdown,
+  toRepoRelativePath,
+  highlightCode
+} from '../IDE-plugins/tasks-tool-button/components/backlog-task-row/backlog-markdown.js';
+
+test('raw HTML in task text is escaped, never rendered', () => {
+  assert.equal(escapeHtml(`<img src=x onerror="a('b')">&`), '&lt;img src=x onerror=&quot;a(&#39;b&#39;)&quot;&gt;&amp;');
+  const html = renderMarkdown('<script>alert(1)</script> **bold**');
+  assert.equal(html, '<p>&lt;script&gt;alert(1)&lt;/script&gt; <strong>bold</strong></p>');
+});
+
+test('headings, paragraphs, rules and quotes', () => {
+  assert.equal(renderMarkdown('# Title #\n\nfirst\nsecond\n\n---'), '<h1>Title</h1><p>first<br>second</p><hr>');
+  assert.equal(renderMarkdown('> quoted *text*\n> more'), '<blockquote><p>quoted <em>text</em><br>more</p></blockquote>');
+});
+
+test('lists nest, keep their start number and render task checkboxes', () => {
+  assert.equal(
+    renderMarkdown('- [x] done\n- [ ] open\n  - child'),
+    '<ul><li class="is-check"><input type="checkbox" disabled checked> done</li>'
+      + '<li class="is-check"><input type="checkbox" disabled> open<ul><li>child</li></ul></li></ul>'
+  );
+  assert.equal(renderMarkdown('3. three\n4. four'), '<ol start="3"><li>three</li><li>four</li></ol>');
+});
+
+test('a change of list marker kind starts a new list', () => {
+  assert.equal(renderMarkdown('- a\n1. b'), '<ul><li>a</li></ul><ol><li>b</li></ol>');
+});
+
+test('links open externally or as repository files', () => {
+  assert.equal(
+    renderMarkdown('[docs](https://example.com/a?b=1&c=2)'),
+    '<p><a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer">docs</a></p>'
+  );
+  assert.equal(
+    renderMarkdown('see [the **config**](./src/config.json#L3)'),
+    '<p>see <a class="backlog-md-file" href="#" data-file-path="src/config.json" title="Open src/config.json">the <strong>config</strong></a></p>'
+  );
+  assert.match(renderMarkdown('bare https://example.com/x.'), /<a href="https:\/\/example.com\/x" [^>]*>https:\/\/example.com\/x<\/a>\.<\/p>$/);
+});
+
+test('unsafe link targets are left as text', () => {
+  assert.equal(renderMarkdown('[x](javascript:alert(1))'), '<p>[x](javascript:alert(1))</p>');
+  assert.equal(renderMarkdown('[x](../../etc/passwd)'), '<p>[x](../../etc/passwd)</p>');
+});
+
+test('inline code that looks like a file path links to the file', () => {
+  assert.equal(
+    renderMarkdown('open `src/app.js:12` now'),
+    '<p>open <a class="backlog-md-file" href="#" data-file-path="src/app.js" title="Open src/app.js"><code>src/app.js:12</code></a> now</p>'
+  );
+  assert.equal(renderMarkdown('run `npm test`'), '<p>run <code>npm test</code></p>');
+  assert.equal(renderMarkdown('`**not bold**`'), '<p><code>**not bold**</code></p>');
+});
+
+test('toRepoRelativePath strips prefixes and rejects paths that leave the repository', () => {
+  assert.equal(toRepoRelativePath('./src/app.js:12'), 'src/app.js');
+  assert.equal(toRepoRelativePath('/docs//guide.md?x#y'), 'docs/guide.md');
+  assert.equal(toRepoRelativePath('src\\win\\path.txt'), 'src/win/path.txt');
+  assert.equal(toRepoRelativePath('../secret'), '');
+  assert.equal(toRepoRelativePath('file:///etc/passwd'), '');
+  assert.equal(toRepoRelativePath(''), '');
+});
+
+test('fenced code blocks are highlighted per language and escaped', () => {
+  assert.equal(
+    renderMarkdown('```js\nconst a = "<b>"; // note\n```'),
+    '<pre class="backlog-md-code"><code class="language-js"><span class="md-tok-keyword">const</span> a = '
+      + '<span class="md-tok-string">&quot;&lt;b&gt;&quot;</span>; <span class="md-tok-comment">// note</span></code></pre>'
+  );
+  assert.equal(highlightCode('# only a comment', 'sh'), '<span class="md-tok-comment"># only a comment</span>');
+  assert.equal(highlightCode('if x < 1', 'text'), 'if x &lt; 1');
+});
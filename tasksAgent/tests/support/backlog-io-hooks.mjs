@@ -0,0 +1,8 @@
+const BACKLOG_IO = 'achillesAgentLib/BacklogManager/backlogIO.mjs';
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === BACKLOG_IO) {
+    return { url: new URL('./backlogIO.mjs', import.meta.url).href, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,44 @@
+// Test double for achillesAgentLib/BacklogManager/backlogIO.mjs: the same four calls over a
+// plain JSON array in <name>.backlog and its completed tasks in <name>.history.
+import fs from 'node:fs/promises';
+
+const entries = new Map();
+
+function historyPath(backlogPath) {
+  return backlogPath.replace(/\.backlog$/i, '.history');
+}
+
+async function readList(filePath) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function refreshBacklogFile(backlogPath) {
+  const entry = {
+    loaded: true,
+    tasks: await readList(backlogPath),
+    history: await readList(historyPath(backlogPath))
+  };
+  entries.set(backlogPath, entry);
+  return entry;
+}
+
+export async function loadBacklogFile(backlogPath) {
+  return entries.get(backlogPath) || refreshBacklogFile(backlogPath);
+}
+
+export async function saveBacklogFile(backlogPath, { tasks, history } = {}) {
+  const entry = await loadBacklogFile(backlogPath);
+  if (Array.isArray(tasks)) entry.tasks = tasks;
+  if (Array.isArray(history)) entry.history = history;
+  await fs.writeFile(backlogPath, JSON.stringify(entry.tasks, null, 2));
+  if (entry.history.length || Array.isArray(history)) {
+    await fs.writeFile(historyPath(backlogPath), JSON.stringify(entry.history, null, 2));
+  }
+}
+
+export async function forceSave() {}
@@ -0,0 +1,5 @@
+// Loaded with `node --import` so the tool resolves achillesAgentLib's backlogIO to the test
+// double in this directory instead of a local checkout of the library.
+import { register } from 'node:module';
+
+register('./backlog-io-hooks.mjs', import.meta.url);
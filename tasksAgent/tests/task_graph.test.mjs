@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildDependencyGraph,
+  findDependencyCycle,
+  openDependencies,
+  topologicalOrder,
+  readyTasks
+} from '../tools/task_graph.mjs';
+
+function node(key, { open = true, dependsOn = [], blocks = [] } = {}) {
+  return { key, open, dependsOn, blocks };
+}
+
+test('dependsOn and blocks both become edges from the prerequisite', () => {
+  const graph = buildDependencyGraph([
+    node('a#1'),
+    node('a#2', { dependsOn: ['a#1'] }),
+    node('b#1', { blocks: ['a#2'] })
+  ]);
+  assert.deepEqual(graph.edges, [{ from: 'a#1', to: 'a#2' }, { from: 'b#1', to: 'a#2' }]);
+  assert.deepEqual(openDependencies(graph, 'a#2'), ['a#1', 'b#1']);
+});
+
+test('done tasks add no edges and do not hold others back', () => {
+  const graph = buildDependencyGraph([
+    node('a#1', { open: false, blocks: ['a#3'] }),
+    node('a#2'),
+    node('a#3', { dependsOn: ['a#1', 'a#2'] })
+  ]);
+  assert.deepEqual(openDependencies(graph, 'a#3'), ['a#2']);
+  assert.deepEqual(readyTasks(graph).map((item) => item.key), ['a#2']);
+});
+
+test('self links and duplicate edges are ignored', () => {
+  const graph = buildDependencyGraph([
+    node('a#1', { dependsOn: ['a#1'], blocks: ['a#2'] }),
+    node('a#2', { dependsOn: ['a#1', 'a#1'] })
+  ]);
+  assert.deepEqual(graph.edges, [{ from: 'a#1', to: 'a#2' }]);
+  assert.equal(findDependencyCycle(graph), null);
+});
+
+test('findDependencyCycle returns the closed path or null', () => {
+  const acyclic = buildDependencyGraph([node('a'), node('b', { dependsOn: ['a'] }), node('c', { dependsOn: ['b'] })]);
+  assert.equal(findDependencyCycle(acyclic), null);
+  const cyclic = buildDependencyGraph([
+    node('a', { dependsOn: ['c'] }),
+    node('b', { dependsOn: ['a'] }),
+    node('c', { dependsOn: ['b'] })
+  ]);
+  const cycle = findDependencyCycle(cyclic);
+  assert.equal(cycle[0], cycle[cycle.length - 1]);
+  assert.deepEqual([...new Set(cycle)].sort(), ['a', 'b', 'c']);
+});
+
+test('topologicalOrder lists open tasks after their dependencies', () => {
+  const graph = buildDependencyGraph([
+    node('c', { dependsOn: ['b'] }),
+    node('b', { dependsOn: ['a'] }),
+    node('a'),
+    node('d', { open: false })
+  ]);
+  assert.deepEqual(topologicalOrder(graph), { order: ['a', 'b', 'c'], unordered: [] });
+});
+
+test('topologicalOrder reports tasks caught in a cycle as unordered', () => {
+  const graph = buildDependencyGraph([
+    node('a'),
+    node('b', { dependsOn: ['a', 'c'] }),
+    node('c', { dependsOn: ['b'] })
+  ]);
+  assert.deepEqual(topologicalOrder(graph), { order: ['a'], unordered: ['b', 'c'] });
+});
@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  QueryParseError,
+  parseTaskQuery,
+  parseSortArg,
+  matchesTaskQuery,
+  sortTasks,
+  encodeCursor,
+  decodeCursor
+} from '../tools/task_query.mjs';
+
+const tasks = [
+  { id: 'a', order: 1, description: 'Fix login form', status: 'new', tags: ['ui'], priority: 'high', dueDate: '2026-03-01', createdAt: '2026-01-05T10:00:00Z' },
+  { id: 'b', order: 2, description: 'Write release notes', status: 'approved', tags: ['docs'], priority: 'low', createdAt: '2025-12-20T10:00:00Z' },
+  { id: 'c', order: 3, description: 'Fix crash in src/app.js', status: 'new', tags: ['ui', 'blocked'], estimate: 3, custom: { team: 'core' } }
+];
+
+function search(q) {
+  const { ast } = parseTaskQuery(q);
+  return tasks.filter((task) => matchesTaskQuery(task, ast)).map((task) => task.id);
+}
+
+test('bare words match text fields case-insensitively and combine with AND', () => {
+  assert.deepEqual(search('fix'), ['a', 'c']);
+  assert.deepEqual(search('FIX login'), ['a']);
+  assert.deepEqual(search(''), ['a', 'b', 'c']);
+});
+
+test('field terms, negation, OR and grouping', () => {
+  assert.deepEqual(search('status:new tag:ui -tag:blocked'), ['a']);
+  assert.deepEqual(search('tag:docs OR priority:high'), ['a', 'b']);
+  assert.deepEqual(search('NOT (status:new)'), ['b']);
+  assert.deepEqual(search('custom.team:core'), ['c']);
+});
+
+test('phrases and regular expressions', () => {
+  assert.deepEqual(search('"release notes"'), ['b']);
+  assert.deepEqual(search('/^fix (login|crash)/'), ['a', 'c']);
+  assert.deepEqual(search('desc:/notes$/'), ['b']);
+});
+
+test('date and numeric comparisons', () => {
+  assert.deepEqual(search('created>2026-01-01'), ['a']);
+  assert.deepEqual(search('due<=2026-03-01'), ['a']);
+  assert.deepEqual(search('estimate>=3'), ['c']);
+});
+
+test('unknown field prefixes and URLs are read as plain text', () => {
+  assert.deepEqual(search('src/app.js:12'), []);
+  assert.deepEqual(search('app.js'), ['c']);
+  const { ast } = parseTaskQuery('see http://example.com/x');
+  assert.equal(ast.type, 'and');
+  assert.deepEqual(ast.nodes.map((node) => [node.field, node.value]), [['text', 'see'], ['text', 'http://example.com/x']]);
+  assert.equal(parseTaskQuery('file.js:12').ast.value, 'file.js:12');
+});
+
+test('malformed queries throw QueryParseError with a position', () => {
+  for (const q of ['"open phrase', '/open', 'status:""', '(tag:ui', 'priority>high', '/[/']) {
+    assert.throws(() => parseTaskQuery(q), QueryParseError, q);
+  }
+  const error = (() => {
+    try {
+      parseTaskQuery('tag:ui "open');
+    } catch (caught) {
+      return caught;
+    }
+    return null;
+  })();
+  assert.equal(error.position, 7);
+});
+
+test('regular expressions are limited in length and nesting', () => {
+  assert.throws(() => parseTaskQuery(`/${'a'.repeat(201)}/`), /longer than 200/);
+  assert.throws(() => parseTaskQuery('/(a+)+$/'), /quantifier/);
+  assert.throws(() => parseTaskQuery('/(x*){2,}/'), /quantifier/);
+  assert.doesNotThrow(() => parseTaskQuery('/(ab)+c/'));
+});
+
+test('sort keys from the query and the sort argument', () => {
+  const { sort } = parseTaskQuery('tag:ui sort:-due,priority');
+  assert.deepEqual(sort, [{ field: 'dueDate', descending: true }, { field: 'priority', descending: false }]);
+  assert.deepEqual(parseSortArg('-created'), [{ field: 'createdAt', descending: true }]);
+  assert.throws(() => parseTaskQuery('-sort:due'), QueryParseError);
+  assert.throws(() => parseSortArg('colour'), QueryParseError);
+});
+
+test('sortTasks orders by priority rank and keeps ties stable', () => {
+  const sorted = sortTasks(tasks, [{ field: 'priority', descending: true }], { priorities: ['low', 'medium', 'high'] });
+  assert.deepEqual(sorted.map((task) => task.id), ['a', 'b', 'c']);
+  const byOrder = sortTasks(tasks, [{ field: 'order', descending: true }]);
+  assert.deepEqual(byOrder.map((task) => task.id), ['c', 'b', 'a']);
+});
+
+test('cursors round-trip and unknown cursors decode to null', () => {
+  assert.equal(decodeCursor(encodeCursor(25)), 25);
+  assert.equal(decodeCursor('not-a-cursor'), null);
+  assert.equal(decodeCursor(Buffer.from('{"offset":-1}').toString('base64url')), null);
+});
@@ -0,0 +1,331 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const TOOL_PATH = fileURLToPath(new URL('../tools/tasks_tool.mjs', import.meta.url));
+const REGISTER_URL = new URL('./support/register.mjs', import.meta.url).href;
+
+const repos = [];
+
+// Runs the tool the way the MCP host does, as a fresh process reading its envelope from
+// stdin, with backlogIO resolved to the test double in ./support.
+function runTool(toolName, envelope) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(process.execPath, ['--import', REGISTER_URL, TOOL_PATH], {
+      env: { ...process.env, TOOL_NAME: toolName }
+    }, (error, stdout) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(JSON.parse(stdout));
+    });
+    child.stdin.end(JSON.stringify(envelope));
+  });
+}
+
+test.after(() => Promise.all(repos.map((repoPath) => fs.rm(repoPath, { recursive: true, force: true }))));
+
+async function createRepo(files = {}) {
+  const repoPath = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'tasks-tool-test-')));
+  repos.push(repoPath);
+  for (const [name, content] of Object.entries(files)) {
+    const filePath = path.join(repoPath, name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+  const backlogPath = path.join(repoPath, 'main.backlog');
+  const call = (toolName, args = {}) => runTool(toolName, { repoPath, backlogPath, ...args });
+  return { repoPath, backlogPath, call };
+}
+
+async function readJson(filePath) {
+  return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+test('task_update compares ifMatch against the current task hash', async () => {
+  const { call } = await createRepo({ 'main.backlog': [] });
+  const { task } = await call('task_create', { description: 'first' });
+  const edited = await call('task_update', { id: task.id, description: 'edited', ifMatch: task.taskHash });
+  assert.equal(edited.ok, true);
+  assert.notEqual(edited.task.taskHash, task.taskHash);
+
+  const stale = await call('task_update', { id: task.id, description: 'lost', ifMatch: task.taskHash });
+  assert.equal(stale.ok, false);
+  assert.equal(stale.code, 'CONFLICT');
+  assert.equal(stale.conflict.current.description, 'edited');
+  assert.equal(stale.conflict.current.taskHash, edited.task.taskHash);
+
+  const forced = await call('task_update', { id: task.id, description: 'forced', ifMatch: task.taskHash, force: true });
+  assert.equal(forced.ok, true);
+  assert.equal(forced.task.description, 'forced');
+});
+
+test('a task hash survives deletes and reorders of other tasks', async () => {
+  const { call } = await createRepo({ 'main.backlog': [] });
+  const first = (await call('task_create', { description: 'one' })).task;
+  const second = (await call('task_create', { description: 'two' })).task;
+  const third = (await call('task_create', { description: 'three' })).task;
+  assert.equal((await call('task_delete', { id: first.id, ifMatch: first.taskHash })).ok, true);
+  assert.equal((await call('task_reorder', { order: [third.id, second.id] })).ok, true);
+  const updated = await call('task_update', { id: second.id, description: 'two!', ifMatch: second.taskHash });
+  assert.equal(updated.ok, true);
+  const deleted = await call('task_delete', { id: third.id, ifMatch: 'stale' });
+  assert.equal(deleted.code, 'CONFLICT');
+});
+
+test('task_reorder ifRevision fails when the order changed', async () => {
+  const { call } = await createRepo({ 'main.backlog': [] });
+  const a = (await call('task_create', { description: 'a' })).task;
+  const b = (await call('task_create', { description: 'b' })).task;
+  const { revision } = await call('task_list');
+  await call('task_reorder', { order: [b.id, a.id] });
+  const result = await call('task_reorder', { order: [a.id, b.id], ifRevision: revision });
+  assert.equal(result.code, 'CONFLICT');
+  assert.deepEqual(result.conflict.current.map((task) => task.id), [b.id, a.id]);
+});
+
+test('task_list answers notModified until the backlog changes', async () => {
+  const { call } = await createRepo({ 'main.backlog': [] });
+  await call('task_create', { description: 'a' });
+  const { revision } = await call('task_list');
+  assert.deepEqual(await call('task_list', { ifNoneMatch: revision }), { ok: true, notModified: true, revision });
+  await call('task_create', { description: 'b' });
+  const changed = await call('task_list', { ifNoneMatch: revision });
+  assert.equal(changed.notModified, undefined);
+  assert.deepEqual(changed.tasks.map((task) => task.description), ['a', 'b']);
+  assert.notEqual(changed.revision, revision);
+});
+
+test('an atomic task_batch writes nothing when one operation fails', async () => {
+  const { backlogPath, call } = await createRepo({ 'main.backlog': [] });
+  const { task } = await call('task_create', { description: 'keep' });
+  const before = await fs.readFile(backlogPath, 'utf8');
+  const result = await call('task_batch', {
+    operations: [
+      { op: 'update', id: task.id, description: 'changed' },
+      { op: 'create', description: 'new one' },
+      { op: 'delete', id: 'missing' }
+    ]
+  });
+  assert.equal(result.ok, false);
+  assert.equal(result.code, 'NOT_FOUND');
+  assert.equal(result.failedIndex, 2);
+  assert.equal(result.results.length, 3);
+  assert.equal(await fs.readFile(backlogPath, 'utf8'), before);
+  const { tasks } = await call('task_list');
+  assert.deepEqual(tasks.map((item) => item.description), ['keep']);
+});
+
+test('a successful task_batch applies operations in order and undoes as one step', async () => {
+  const { call } = await createRepo({ 'main.backlog': [] });
+  const result = await call('task_batch', {
+    operations: [
+      { op: 'create', description: 'a', ref: 'first' },
+      { op: 'create', description: 'b' }
+    ]
+  });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.tasks.map((task) => task.description), ['a', 'b']);
+  const undone = await call('task_undo');
+  assert.equal(undone.ok, true);
+  assert.deepEqual(undone.tasks, []);
+  assert.equal(undone.canUndo, false);
+});
+
+test('task_undo and task_redo walk the operation stack', async () => {
+  const { call } = await createRepo({ 'main.backlog': [] });
+  assert.equal((await call('task_undo')).code, 'NOTHING_TO_UNDO');
+  const { task } = await call('task_create', { description: 'draft' });
+  await call('task_update', { id: task.id, description: 'final' });
+
+  const undone = await call('task_undo');
+  assert.equal(undone.ok, true);
+  assert.equal(undone.operation.tool, 'task_update');
+  assert.equal(undone.tasks[0].description, 'draft');
+  assert.equal(undone.canRedo, true);
+
+  const redone = await call('task_redo');
+  assert.equal(redone.tasks[0].description, 'final');
+  assert.equal(redone.canRedo, false);
+  assert.equal((await call('task_redo')).code, 'NOTHING_TO_REDO');
+});
+
+test('task_undo refuses to overwrite a task that changed since the operation', async () => {
+  const { backlogPath, call } = await createRepo({ 'main.backlog': [] });
+  const { task } = await call('task_create', { description: 'x' });
+  await call('task_update', { id: task.id, description: 'y' });
+  const raw = await readJson(backlogPath);
+  raw[0].description = 'edited by hand';
+  await fs.writeFile(backlogPath, JSON.stringify(raw, null, 2));
+  const result = await call('task_undo');
+  assert.equal(result.code, 'CONFLICT');
+  assert.equal((await readJson(backlogPath))[0].description, 'edited by hand');
+  assert.equal((await readJson(backlogPath.replace(/\.backlog$/, '.undo.json'))).undo.length, 2);
+});
+
+test('task_move undoes as one step and retargets references in other backlogs', async () => {
+  const { repoPath, backlogPath, call } = await createRepo({
+    'main.backlog': [{ id: 't1', description: 'move me', status: 'new' }],
+    'other.backlog': [],
+    'sub/refs.backlog': [{ id: 'r1', description: 'waits', status: 'new', dependsOn: ['main.backlog#t1'] }]
+  });
+  const targetBacklogPath = path.join(repoPath, 'other.backlog');
+  const refsPath = path.join(repoPath, 'sub', 'refs.backlog');
+  const moved = await call('task_move', { id: 't1', targetBacklogPath });
+  assert.equal(moved.ok, true);
+  assert.deepEqual((await readJson(refsPath))[0].dependsOn, ['other.backlog#t1']);
+  assert.equal((await readJson(path.join(repoPath, 'main.undo.json'))).undo.length, 1);
+
+  const undone = await call('task_undo');
+  assert.equal(undone.ok, true);
+  assert.deepEqual((await readJson(backlogPath)).map((task) => task.id), ['t1']);
+  assert.deepEqual(await readJson(targetBacklogPath), []);
+  assert.deepEqual((await readJson(refsPath))[0].dependsOn, ['main.backlog#t1']);
+});
+
+test('legacy statuses map onto the configured workflow without rewriting on reads', async () => {
+  const legacy = [
+    { description: 'no status', options: [], resolution: '' },
+    { description: 'old approved', options: [], resolution: 'yes', status: 'approved' }
+  ];
+  const { backlogPath, call } = await createRepo({
+    '.backlog.config.json': {
+      statuses: { todo: 'To do', doing: 'Doing', done: 'Done' },
+      defaultStatus: 'todo',
+      transitions: { todo: ['doing'], doing: ['done'], done: ['todo'] },
+      editableStatuses: ['todo']
+    },
+    'main.backlog': legacy
+  });
+  const before = await fs.readFile(backlogPath, 'utf8');
+  const listed = await call('task_list');
+  assert.deepEqual(listed.tasks.map((task) => task.status), ['todo', 'todo']);
+  assert.deepEqual((await call('task_list')).tasks.map((task) => task.id), listed.tasks.map((task) => task.id));
+  assert.equal(await fs.readFile(backlogPath, 'utf8'), before);
+
+  const updated = await call('task_update', { id: listed.tasks[1].id, status: 'doing' });
+  assert.equal(updated.ok, true);
+  assert.deepEqual((await readJson(backlogPath)).map((task) => task.status), ['todo', 'doing']);
+});
+
+test('a status the configuration no longer defines is read as the default status', async () => {
+  const { backlogPath, call } = await createRepo({
+    'main.backlog': [{ id: 't1', description: 'stuck', options: [], resolution: '', status: 'blocked' }]
+  });
+  const [task] = (await call('task_list')).tasks;
+  assert.equal(task.status, 'new');
+  const updated = await call('task_update', { id: 't1', priority: 'high' });
+  assert.equal(updated.ok, true);
+  assert.equal(updated.task.status, 'new');
+  assert.equal((await readJson(backlogPath))[0].status, 'new');
+});
+
+test('the default workflow lets a new task be marked done', async () => {
+  const { call } = await createRepo({ 'main.backlog': [] });
+  const { task } = await call('task_create', { description: 'quick fix' });
+  const done = await call('task_update', { id: task.id, status: 'done' });
+  assert.equal(done.ok, true);
+  assert.equal(done.done, true);
+});
+
+test('terminal and resolution-required statuses come from the configuration', async () => {
+  const { backlogPath, call } = await createRepo({
+    '.backlog.config.json': {
+      statuses: { open: 'Open', accepted: 'Accepted', closed: 'Closed' },
+      defaultStatus: 'open',
+      terminalStatuses: ['closed'],
+      resolutionRequiredStatuses: ['accepted']
+    },
+    'main.backlog': []
+  });
+  assert.equal((await call('task_create', { description: 'x', status: 'closed' })).code, 'ILLEGAL_TRANSITION');
+  const { task } = await call('task_create', { description: 'pick one', options: ['a', 'b'] });
+  assert.equal((await call('task_update', { id: task.id, status: 'accepted' })).code, 'ILLEGAL_TRANSITION');
+  const accepted = await call('task_update', { id: task.id, status: 'accepted', resolution: 'a' });
+  assert.deepEqual(accepted.task.options, []);
+  const closed = await call('task_update', { id: task.id, status: 'closed' });
+  assert.equal(closed.done, true);
+  assert.deepEqual((await readJson(backlogPath)), []);
+  assert.equal((await readJson(backlogPath.replace(/\.backlog$/, '.history')))[0].status, 'closed');
+});
+
+test('subtask operations run as tools and inside task_batch, and undo like other edits', async () => {
+  const { call } = await createRepo({ 'main.backlog': [] });
+  const batch = await call('task_batch', {
+    operations: [
+      { op: 'create', description: 'release', ref: 'release' },
+      { op: 'subtask_add', id: '$release', description: 'tag' },
+      { op: 'subtask_add', id: '$release', description: 'publish' }
+    ]
+  });
+  assert.equal(batch.ok, true);
+  const [task] = batch.tasks;
+  assert.deepEqual(task.progress, { done: 0, total: 2 });
+
+  const toggled = await call('task_subtask_toggle', { id: task.id, subtaskId: task.subtasks[0].id, ifMatch: task.taskHash });
+  assert.deepEqual(toggled.task.progress, { done: 1, total: 2 });
+  const stale = await call('task_subtask_remove', { id: task.id, subtaskId: task.subtasks[1].id, ifMatch: task.taskHash });
+  assert.equal(stale.code, 'CONFLICT');
+  assert.equal((await call('task_subtask_remove', { id: task.id, subtaskId: 'nope' })).code, 'NOT_FOUND');
+
+  const undone = await call('task_undo');
+  assert.equal(undone.operation.tool, 'task_subtask_toggle');
+  assert.deepEqual(undone.tasks[0].progress, { done: 0, total: 2 });
+});
+
+test('an audit journal that cannot be written is a warning on the saved change', async () => {
+  const { repoPath, backlogPath, call } = await createRepo({ 'main.backlog': [] });
+  await fs.mkdir(path.join(repoPath, 'main.audit.jsonl'));
+  const created = await call('task_create', { description: 'saved anyway' });
+  assert.equal(created.ok, true);
+  assert.deepEqual(created.warnings.map((warning) => warning.code), ['AUDIT_WRITE_FAILED']);
+  assert.equal((await readJson(backlogPath)).length, 1);
+});
+
+test('an undo stack that cannot be written is a warning on the saved change', async () => {
+  const { repoPath, backlogPath, call } = await createRepo({ 'main.backlog': [] });
+  await fs.mkdir(path.join(repoPath, 'main.undo.json'));
+  const created = await call('task_create', { description: 'saved anyway' });
+  assert.equal(created.ok, true);
+  assert.deepEqual(created.warnings.map((warning) => warning.code), ['UNDO_WRITE_FAILED']);
+  assert.equal((await readJson(backlogPath)).length, 1);
+});
+
+test('task_restore reopens history entries as one undoable step, within the configured transitions', async () => {
+  const { backlogPath, call } = await createRepo({ 'main.backlog': [] });
+  const { task } = await call('task_create', { description: 'ship it', resolution: 'shipped' });
+  await call('task_update', { id: task.id, status: 'done', note: 'released' });
+  assert.equal((await call('task_restore', { id: task.id })).code, 'VALIDATION');
+  assert.equal((await call('task_restore', { ids: [task.id], status: 'approved' })).code, 'ILLEGAL_TRANSITION');
+
+  const restored = await call('task_restore', { ids: [task.id], resetResolution: true });
+  assert.equal(restored.ok, true);
+  assert.equal(restored.tasks[0].status, 'new');
+  assert.equal(restored.tasks[0].resolution, '');
+  assert.equal(restored.tasks[0].completionNote, undefined);
+  assert.deepEqual(await readJson(backlogPath.replace(/\.backlog$/, '.history')), []);
+
+  const undone = await call('task_undo');
+  assert.equal(undone.operation.tool, 'task_restore');
+  assert.deepEqual(undone.tasks, []);
+});
+
+test('task_watch reports changes made since the task_list cursor', async () => {
+  const { backlogPath, call } = await createRepo({ 'main.backlog': [] });
+  const { task } = await call('task_create', { description: 'watch me' });
+  const { watchCursor } = await call('task_list');
+  const raw = await readJson(backlogPath);
+  raw[0].description = 'edited by hand';
+  raw.push({ description: 'added by hand', options: [], resolution: '' });
+  await fs.writeFile(backlogPath, JSON.stringify(raw, null, 2));
+  const watched = await call('task_watch', { since: watchCursor, timeoutMs: 1000 });
+  assert.equal(watched.changed, true);
+  assert.deepEqual(watched.events.map((event) => [event.type, event.task.id === task.id]), [['update', true], ['create', false]]);
+  const { tasks } = await call('task_list');
+  assert.equal(watched.events[1].task.id, tasks[1].id);
+});
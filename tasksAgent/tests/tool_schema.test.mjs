@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadToolDefinitions, listTools, validateToolArguments } from '../tools/tool_schema.mjs';
+
+const context = { statuses: ['todo', 'doing', 'done'], priorities: ['low', 'high'] };
+
+test('every tool in mcp-config.json is listed with an object schema', () => {
+  const tools = listTools(context);
+  assert.equal(tools.length, loadToolDefinitions().size);
+  for (const tool of tools) {
+    assert.equal(tool.inputSchema.type, 'object', tool.name);
+    assert.ok(tool.inputSchema.required.includes('repoPath'), tool.name);
+  }
+});
+
+test('enumFrom fields follow the configured statuses and priorities', () => {
+  const update = listTools(context).find((tool) => tool.name === 'task_update');
+  assert.deepEqual(update.inputSchema.properties.status.enum, ['todo', 'doing', 'done']);
+  assert.deepEqual(update.inputSchema.properties.priority.enum, ['low', 'high', '']);
+  assert.deepEqual(update.inputSchema.properties.tags.type, ['array', 'null']);
+});
+
+test('valid arguments produce no errors', () => {
+  const errors = validateToolArguments('task_update', {
+    repoPath: '/repo',
+    backlogPath: '/repo/a.backlog',
+    id: 'abc',
+    status: 'doing',
+    priority: '',
+    tags: null,
+    estimate: 3,
+    dueDate: '2026-05-01'
+  }, context);
+  assert.deepEqual(errors, []);
+});
+
+test('missing, mistyped and out-of-range arguments are reported per field', () => {
+  const errors = validateToolArguments('task_update', {
+    repoPath: '/repo',
+    status: 'new',
+    tags: 'ui',
+    dueDate: 'tomorrow'
+  }, context);
+  const fields = errors.map((error) => error.field).sort();
+  assert.deepEqual(fields, ['backlogPath', 'dueDate', 'id', 'status', 'tags']);
+  assert.ok(errors.every((error) => typeof error.message === 'string' && error.message));
+});
+
+test('integer minimums and nested array items are checked', () => {
+  const base = { repoPath: '/repo', backlogPath: '/repo/a.backlog', description: 'x' };
+  assert.deepEqual(validateToolArguments('task_create', { ...base, position: 1 }, context), []);
+  assert.deepEqual(validateToolArguments('task_create', { ...base, position: 0 }, context).map((error) => error.field), ['position']);
+  assert.deepEqual(validateToolArguments('task_create', { ...base, position: 1.5 }, context).map((error) => error.field), ['position']);
+  assert.deepEqual(validateToolArguments('task_create', { ...base, options: ['a', 2] }, context).map((error) => error.field), ['options[1]']);
+});
+
+test('list limit and offset keep accepting any number', () => {
+  const base = { repoPath: '/repo', backlogPath: '/repo/a.backlog' };
+  assert.deepEqual(validateToolArguments('task_list', { ...base, limit: 0, offset: 2.0 }, context), []);
+  assert.deepEqual(validateToolArguments('task_history_list', { ...base, limit: 10.5 }, context), []);
+});
+
+test('batch operations are validated item by item', () => {
+  const errors = validateToolArguments('task_batch', {
+    repoPath: '/repo',
+    backlogPath: '/repo/a.backlog',
+    operations: [{ op: 'update' }, { op: 'rename' }, {}]
+  }, context);
+  assert.deepEqual(errors.map((error) => error.field), ['operations[1].op', 'operations[2].op']);
+});
+
+test('unknown tools are left to the dispatcher', () => {
+  assert.deepEqual(validateToolArguments('task_nope', {}, context), []);
+});
@@ -0,0 +1,88 @@
+function pushEdge(map, key, value) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+}
+
+export function buildDependencyGraph(nodes) {
+  const list = Array.isArray(nodes) ? nodes : [];
+  const byKey = new Map(list.map((node) => [node.key, node]));
+  const edges = [];
+  const seen = new Set();
+  const addEdge = (from, to) => {
+    const edgeKey = `${from}\n${to}`;
+    if (from === to || seen.has(edgeKey)) return;
+    seen.add(edgeKey);
+    edges.push({ from, to });
+  };
+  for (const node of list) {
+    if (!node.open) continue;
+    for (const dependency of node.dependsOn || []) addEdge(dependency, node.key);
+    for (const blocked of node.blocks || []) addEdge(node.key, blocked);
+  }
+  const incoming = new Map();
+  const outgoing = new Map();
+  for (const edge of edges) {
+    pushEdge(outgoing, edge.from, edge.to);
+    pushEdge(incoming, edge.to, edge.from);
+  }
+  return { nodes: list, byKey, edges, incoming, outgoing };
+}
+
+export function findDependencyCycle(graph) {
+  const state = new Map();
+  const stack = [];
+  const visit = (key) => {
+    state.set(key, 'visiting');
+    stack.push(key);
+    for (const next of graph.outgoing.get(key) || []) {
+      const nextState = state.get(next);
+      if (nextState === 'visiting') {
+        return [...stack.slice(stack.indexOf(next)), next];
+      }
+      if (!nextState) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    state.set(key, 'done');
+    return null;
+  };
+  for (const key of graph.outgoing.keys()) {
+    if (state.has(key)) continue;
+    const cycle = visit(key);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+function isOpen(graph, key) {
+  return graph.byKey.get(key)?.open === true;
+}
+
+export function openDependencies(graph, key) {
+  return (graph.incoming.get(key) || []).filter((from) => isOpen(graph, from));
+}
+
+export function topologicalOrder(graph) {
+  const openKeys = graph.nodes.filter((node) => node.open).map((node) => node.key);
+  const indegree = new Map(openKeys.map((key) => [key, openDependencies(graph, key).length]));
+  const queue = openKeys.filter((key) => indegree.get(key) === 0);
+  const order = [];
+  while (queue.length) {
+    const key = queue.shift();
+    order.push(key);
+    for (const next of graph.outgoing.get(key) || []) {
+      if (!indegree.has(next)) continue;
+      const remaining = indegree.get(next) - 1;
+      indegree.set(next, remaining);
+      if (remaining === 0) queue.push(next);
+    }
+  }
+  const ordered = new Set(order);
+  return { order, unordered: openKeys.filter((key) => !ordered.has(key)) };
+}
+
+export function readyTasks(graph) {
+  return graph.nodes.filter((node) => node.open && openDependencies(graph, node.key).length === 0);
+}
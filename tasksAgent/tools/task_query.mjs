@@ -0,0 +1,412 @@
+const FIELD_ALIASES = {
+  desc: 'description',
+  option: 'options',
+  tags: 'tag',
+  due: 'dueDate',
+  created: 'createdAt',
+  updated: 'updatedAt',
+  completed: 'completedAt'
+};
+
+const TEXT_FIELDS = new Set(['description', 'resolution', 'options', 'text']);
+const EXACT_FIELDS = new Set(['id', 'status', 'tag', 'assignee', 'priority', 'completedBy']);
+const DATE_FIELDS = new Set(['dueDate', 'createdAt', 'updatedAt', 'completedAt']);
+const NUMERIC_FIELDS = new Set(['order', 'estimate']);
+const SORT_FIELDS = new Set(['order', 'priority', 'dueDate', 'createdAt', 'updatedAt', 'completedAt', 'status', 'description', 'assignee', 'completedBy', 'estimate']);
+const COMPARISON_OPS = new Set(['>', '>=', '<', '<=']);
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const FIELD_PREFIX = /([a-zA-Z][\w.-]*)(>=|<=|:|>|<|=)/y;
+// Regexes run inside the long-lived server, so patterns are kept short and may not nest
+// quantifiers, the usual cause of catastrophic backtracking.
+const MAX_REGEX_LENGTH = 200;
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)(?:[+*]|\{\d*,)/;
+
+export class QueryParseError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QueryParseError';
+    this.position = position;
+  }
+}
+
+function isBoundary(char) {
+  return char === undefined || /\s/.test(char) || char === '(' || char === ')';
+}
+
+function readQuoted(input, start) {
+  let index = start + 1;
+  let value = '';
+  while (index < input.length) {
+    const char = input[index];
+    if (char === '\\' && index + 1 < input.length) {
+      value += input[index + 1];
+      index += 2;
+      continue;
+    }
+    if (char === '"') {
+      return { value, end: index + 1 };
+    }
+    value += char;
+    index += 1;
+  }
+  throw new QueryParseError('Unterminated quoted phrase.', start);
+}
+
+function readRegex(input, start) {
+  let index = start + 1;
+  let source = '';
+  while (index < input.length) {
+    const char = input[index];
+    if (char === '\\' && index + 1 < input.length) {
+      source += char + input[index + 1];
+      index += 2;
+      continue;
+    }
+    if (char === '/') {
+      index += 1;
+      let flags = '';
+      while (index < input.length && /[a-z]/.test(input[index])) {
+        flags += input[index];
+        index += 1;
+      }
+      if (source.length > MAX_REGEX_LENGTH) {
+        throw new QueryParseError(`Regular expression is longer than ${MAX_REGEX_LENGTH} characters.`, start);
+      }
+      if (NESTED_QUANTIFIER.test(source)) {
+        throw new QueryParseError('Regular expression repeats a group that already contains a quantifier.', start);
+      }
+      let regex = null;
+      const safeFlags = flags.replace(/[gy]/g, '');
+      try {
+        regex = new RegExp(source, safeFlags.includes('i') ? safeFlags : `${safeFlags}i`);
+      } catch (error) {
+        throw new QueryParseError(`Invalid regular expression: ${error.message}`, start);
+      }
+      return { regex, end: index };
+    }
+    source += char;
+    index += 1;
+  }
+  throw new QueryParseError('Unterminated regular expression.', start);
+}
+
+function readWord(input, start) {
+  let index = start;
+  while (index < input.length && !isBoundary(input[index])) {
+    index += 1;
+  }
+  return { value: input.slice(start, index), end: index };
+}
+
+// "//" opens a path or the rest of a URL rather than an empty regular expression.
+function isRegexStart(input, start) {
+  return input[start] === '/' && input[start + 1] !== '/';
+}
+
+function readValue(input, start) {
+  const char = input[start];
+  if (char === '"') {
+    const quoted = readQuoted(input, start);
+    return { kind: 'phrase', value: quoted.value, end: quoted.end };
+  }
+  if (isRegexStart(input, start)) {
+    const parsed = readRegex(input, start);
+    return { kind: 'regex', regex: parsed.regex, end: parsed.end };
+  }
+  const word = readWord(input, start);
+  return { kind: 'word', value: word.value, end: word.end };
+}
+
+function tokenize(input) {
+  const tokens = [];
+  let index = 0;
+  while (index < input.length) {
+    const char = input[index];
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', position: index });
+      index += 1;
+      continue;
+    }
+    if (char === '-' && !isBoundary(input[index + 1])) {
+      tokens.push({ type: 'not', position: index });
+      index += 1;
+      continue;
+    }
+    FIELD_PREFIX.lastIndex = index;
+    const fieldMatch = FIELD_PREFIX.exec(input);
+    if (fieldMatch && !isBoundary(input[FIELD_PREFIX.lastIndex]) && isKnownField(fieldMatch[1])) {
+      const rawField = fieldMatch[1];
+      const op = fieldMatch[2] === '=' ? ':' : fieldMatch[2];
+      const parsed = readValue(input, FIELD_PREFIX.lastIndex);
+      tokens.push({ type: 'term', field: rawField, op, ...parsed, position: index });
+      index = parsed.end;
+      continue;
+    }
+    if (char === '"' || isRegexStart(input, index)) {
+      const parsed = readValue(input, index);
+      tokens.push({ type: 'term', field: 'text', op: ':', ...parsed, position: index });
+      index = parsed.end;
+      continue;
+    }
+    const word = readWord(input, index);
+    if (word.value === 'OR' || word.value === 'AND' || word.value === 'NOT') {
+      tokens.push({ type: word.value.toLowerCase(), position: index });
+    } else {
+      tokens.push({ type: 'term', field: 'text', op: ':', kind: 'word', value: word.value, position: index });
+    }
+    index = word.end;
+  }
+  return tokens;
+}
+
+// Anything else before a colon, such as "http://…" or "file.js:12", is plain text.
+function isKnownField(rawField) {
+  const name = rawField.toLowerCase();
+  if (name === 'sort' || name.startsWith('custom.')) return true;
+  const field = FIELD_ALIASES[name] || name;
+  return TEXT_FIELDS.has(field) || EXACT_FIELDS.has(field) || DATE_FIELDS.has(field) || NUMERIC_FIELDS.has(field);
+}
+
+function resolveField(rawField, position) {
+  const name = rawField.toLowerCase();
+  if (name.startsWith('custom.')) {
+    const key = rawField.slice('custom.'.length);
+    if (!key) throw new QueryParseError('Missing custom field name.', position);
+    return { field: 'custom', key };
+  }
+  if (!isKnownField(rawField)) throw new QueryParseError(`Unknown field: ${rawField}`, position);
+  return { field: FIELD_ALIASES[name] || name };
+}
+
+function buildTerm(token) {
+  const { field, key } = resolveField(token.field, token.position);
+  if (COMPARISON_OPS.has(token.op)) {
+    if (!DATE_FIELDS.has(field) && !NUMERIC_FIELDS.has(field)) {
+      throw new QueryParseError(`Field ${token.field} does not support ${token.op}.`, token.position);
+    }
+    if (token.kind === 'regex') {
+      throw new QueryParseError(`Comparison on ${token.field} requires a value, not a regular expression.`, token.position);
+    }
+    if (NUMERIC_FIELDS.has(field) && !Number.isFinite(Number(token.value))) {
+      throw new QueryParseError(`Field ${token.field} expects a number.`, token.position);
+    }
+  }
+  if (token.kind !== 'regex' && !String(token.value || '').length) {
+    throw new QueryParseError(`Missing value for ${token.field}.`, token.position);
+  }
+  return {
+    type: 'term',
+    field,
+    key,
+    op: token.op,
+    kind: token.kind,
+    value: token.kind === 'regex' ? null : String(token.value),
+    regex: token.kind === 'regex' ? token.regex : null
+  };
+}
+
+function parseTokens(tokens, inputLength) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const parseOr = () => {
+    const nodes = [parseAnd()];
+    while (peek()?.type === 'or') {
+      index += 1;
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+  };
+  const parseAnd = () => {
+    const nodes = [parseUnary()];
+    while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+      if (peek().type === 'and') index += 1;
+      nodes.push(parseUnary());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+  };
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) {
+      throw new QueryParseError('Unexpected end of query.', inputLength);
+    }
+    if (token.type === 'not') {
+      index += 1;
+      return { type: 'not', node: parseUnary() };
+    }
+    if (token.type === 'lparen') {
+      index += 1;
+      const node = parseOr();
+      if (peek()?.type !== 'rparen') {
+        throw new QueryParseError('Missing closing parenthesis.', token.position);
+      }
+      index += 1;
+      return node;
+    }
+    if (token.type === 'term') {
+      index += 1;
+      return buildTerm(token);
+    }
+    throw new QueryParseError(`Unexpected ${token.type.toUpperCase()}.`, token.position);
+  };
+  if (!tokens.length) return null;
+  const ast = parseOr();
+  if (index < tokens.length) {
+    throw new QueryParseError('Unexpected closing parenthesis.', tokens[index].position);
+  }
+  return ast;
+}
+
+function parseSortKey(raw, position) {
+  const descending = raw.startsWith('-');
+  const name = descending ? raw.slice(1) : raw;
+  const field = FIELD_ALIASES[name.toLowerCase()] || name;
+  if (!SORT_FIELDS.has(field)) {
+    throw new QueryParseError(`Cannot sort by: ${name}`, position);
+  }
+  return { field, descending };
+}
+
+/**
+ * Parses a task query such as `status:new tag:ui -tag:blocked "exact phrase" created>2026-01-01 sort:-due`
+ * into a filter AST plus sort keys. Throws QueryParseError with the offending position.
+ */
+export function parseTaskQuery(input) {
+  const text = String(input || '');
+  const tokens = tokenize(text);
+  const sort = [];
+  const filtered = [];
+  for (const token of tokens) {
+    if (token.type === 'term' && token.field.toLowerCase() === 'sort' && token.op === ':') {
+      const previous = filtered[filtered.length - 1];
+      if (previous?.type === 'not') {
+        throw new QueryParseError('sort cannot be negated.', token.position);
+      }
+      for (const key of String(token.value || '').split(',').filter(Boolean)) {
+        sort.push(parseSortKey(key, token.position));
+      }
+      continue;
+    }
+    filtered.push(token);
+  }
+  return { ast: parseTokens(filtered, text.length), sort };
+}
+
+export function parseSortArg(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map((key) => String(key || '').trim()).filter(Boolean).map((key) => parseSortKey(key, 0));
+}
+
+function fieldValues(task, node) {
+  if (node.field === 'text') {
+    return [task.description, task.resolution, ...(Array.isArray(task.options) ? task.options : [])];
+  }
+  if (node.field === 'custom') {
+    const value = task.custom?.[node.key];
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [typeof value === 'object' ? JSON.stringify(value) : value];
+  }
+  if (node.field === 'tag') return Array.isArray(task.tags) ? task.tags : [];
+  if (node.field === 'options') return Array.isArray(task.options) ? task.options : [];
+  const value = task[node.field];
+  return value === undefined || value === null || value === '' ? [] : [value];
+}
+
+function compareValues(field, left, right) {
+  if (NUMERIC_FIELDS.has(field)) {
+    const a = Number(left);
+    const b = Number(right);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
+    return a - b;
+  }
+  const a = String(left);
+  const b = String(right);
+  const normalizedLeft = DATE_FIELDS.has(field) && DATE_ONLY.test(b) ? a.slice(0, 10) : a;
+  if (normalizedLeft === b) return 0;
+  return normalizedLeft < b ? -1 : 1;
+}
+
+function matchTerm(task, node) {
+  const values = fieldValues(task, node).map((value) => String(value));
+  if (node.kind === 'regex') {
+    return values.some((value) => node.regex.test(value));
+  }
+  if (COMPARISON_OPS.has(node.op)) {
+    return values.some((value) => {
+      const diff = compareValues(node.field, value, node.value);
+      if (diff === null) return false;
+      if (node.op === '>') return diff > 0;
+      if (node.op === '>=') return diff >= 0;
+      if (node.op === '<') return diff < 0;
+      return diff <= 0;
+    });
+  }
+  const needle = node.value.toLowerCase();
+  if (EXACT_FIELDS.has(node.field) || DATE_FIELDS.has(node.field) || NUMERIC_FIELDS.has(node.field)) {
+    if (DATE_FIELDS.has(node.field)) {
+      return values.some((value) => compareValues(node.field, value, node.value) === 0);
+    }
+    return values.some((value) => value.toLowerCase() === needle);
+  }
+  return values.some((value) => value.toLowerCase().includes(needle));
+}
+
+export function matchesTaskQuery(task, ast) {
+  if (!ast) return true;
+  if (ast.type === 'and') return ast.nodes.every((node) => matchesTaskQuery(task, node));
+  if (ast.type === 'or') return ast.nodes.some((node) => matchesTaskQuery(task, node));
+  if (ast.type === 'not') return !matchesTaskQuery(task, ast.node);
+  return matchTerm(task, ast);
+}
+
+function sortValue(task, field, priorities) {
+  if (field === 'priority') {
+    const index = priorities.indexOf(task.priority);
+    return index >= 0 ? index : null;
+  }
+  const value = task[field];
+  return value === undefined || value === null || value === '' ? null : value;
+}
+
+/**
+ * Sorts tasks by the given keys. Tasks missing a sort value always sort last;
+ * ties keep their backlog order.
+ */
+export function sortTasks(tasks, sort, { priorities = [] } = {}) {
+  if (!sort.length) return tasks;
+  return tasks
+    .map((task, index) => ({ task, index }))
+    .sort((a, b) => {
+      for (const { field, descending } of sort) {
+        const left = sortValue(a.task, field, priorities);
+        const right = sortValue(b.task, field, priorities);
+        if (left === null && right === null) continue;
+        if (left === null) return 1;
+        if (right === null) return -1;
+        const diff = typeof left === 'number' && typeof right === 'number'
+          ? left - right
+          : String(left).localeCompare(String(right));
+        if (diff !== 0) return descending ? -diff : diff;
+      }
+      return a.index - b.index;
+    })
+    .map((item) => item.task);
+}
+
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+// Returns null for a cursor this module did not produce.
+export function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isInteger(parsed?.offset) && parsed.offset >= 0) return parsed.offset;
+  } catch {
+    // fall through
+  }
+  return null;
+}
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+import crypto from 'node:crypto';
+import http from 'node:http';
+import readline from 'node:readline';
+import { dispatch, closeBacklogWatchers, listToolSchemas } from './tasks_tool.mjs';
+
+const SERVER_INFO = { name: 'tasksAgent', version: '1.0.0' };
+const DEFAULT_PROTOCOL_VERSION = '2024-11-05';
+const DEFAULT_PORT = 7337;
+
+function parseOptions(argv) {
+  const options = {
+    http: false,
+    host: process.env.TASKS_MCP_HOST || '127.0.0.1',
+    port: Number.parseInt(process.env.TASKS_MCP_PORT, 10) || DEFAULT_PORT,
+    token: process.env.TASKS_MCP_TOKEN || ''
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--http') options.http = true;
+    else if (arg === '--stdio') options.http = false;
+    else if (arg === '--host') options.host = argv[++i] || options.host;
+    else if (arg === '--port') options.port = Number.parseInt(argv[++i], 10) || options.port;
+    else if (arg === '--token') options.token = argv[++i] || options.token;
+  }
+  return options;
+}
+
+function rpcResult(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id: id ?? null, error: { code, message } };
+}
+
+function createHandler(tools) {
+  const toolNames = new Set(tools.map((tool) => tool.name));
+  let queue = Promise.resolve();
+  // Tool calls share the in-memory backlog state, so they run one at a time.
+  const serialize = (fn) => {
+    const next = queue.then(fn, fn);
+    queue = next.catch(() => {});
+    return next;
+  };
+  return async (message) => {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return rpcError(message?.id, -32600, 'Invalid request.');
+    }
+    const { id, method, params } = message;
+    const isNotification = id === undefined || id === null;
+    if (method === 'initialize') {
+      return rpcResult(id, {
+        protocolVersion: params?.protocolVersion || DEFAULT_PROTOCOL_VERSION,
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: SERVER_INFO
+      });
+    }
+    if (method === 'ping') {
+      return rpcResult(id, {});
+    }
+    if (method === 'tools/list') {
+      return rpcResult(id, { tools });
+    }
+    if (method === 'tools/call') {
+      const name = params?.name;
+      if (!toolNames.has(name)) {
+        return rpcError(id, -32602, `Unknown tool: ${name}`);
+      }
+      const run = () => dispatch(message, { toolName: name, watch: true });
+      // task_watch spends its time waiting on the filesystem and must not hold up other calls.
+      const payload = await (name === 'task_watch' ? run() : serialize(run));
+      const result = { content: [{ type: 'text', text: JSON.stringify(payload) }] };
+      if (payload?.ok === false) result.isError = true;
+      return rpcResult(id, result);
+    }
+    if (isNotification) {
+      return null;
+    }
+    return rpcError(id, -32601, `Method not found: ${method}`);
+  };
+}
+
+async function handleRaw(handler, raw) {
+  let message = null;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return rpcError(null, -32700, 'Parse error.');
+  }
+  if (Array.isArray(message)) {
+    const responses = [];
+    for (const item of message) {
+      const response = await handler(item);
+      if (response) responses.push(response);
+    }
+    return responses.length ? responses : null;
+  }
+  return handler(message);
+}
+
+function serveStdio(handler) {
+  const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+  const pending = new Set();
+  lines.on('line', (line) => {
+    if (!line.trim()) return;
+    // Responses are written as they complete so a waiting task_watch does not block
+    // later requests; tool calls still run in arrival order through the handler queue.
+    const request = handleRaw(handler, line).then((response) => {
+      if (response) process.stdout.write(`${JSON.stringify(response)}\n`);
+    }).finally(() => pending.delete(request));
+    pending.add(request);
+  });
+  lines.on('close', () => {
+    Promise.allSettled([...pending]).finally(() => shutdown());
+  });
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => { data += chunk; });
+    request.on('end', () => resolve(data));
+    request.on('error', reject);
+  });
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+function hasToken(request, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(String(request.headers.authorization || ''));
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Browsers attach an Origin header to cross-site requests and cannot send a JSON content type
+// or an Authorization header without a preflight, so a web page cannot reach the tools.
+function rejectHttpRequest(request, token) {
+  if (request.headers.origin) return [403, 'Cross-origin requests are not allowed.'];
+  const contentType = String(request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType !== 'application/json') return [415, 'Content-Type must be application/json.'];
+  if (!hasToken(request, token)) return [401, 'Missing or invalid bearer token.'];
+  return null;
+}
+
+function serveHttp(handler, { host, port, token, generatedToken }) {
+  const server = http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url || '/', 'http://localhost');
+    if (request.method === 'GET' && pathname === '/health') {
+      sendJson(response, 200, { ok: true });
+      return;
+    }
+    if (request.method !== 'POST' || pathname !== '/mcp') {
+      sendJson(response, 404, { ok: false, error: 'Not found.' });
+      return;
+    }
+    const rejection = rejectHttpRequest(request, token);
+    if (rejection) {
+      request.resume();
+      sendJson(response, rejection[0], rpcError(null, -32600, rejection[1]));
+      return;
+    }
+    try {
+      const result = await handleRaw(handler, await readBody(request));
+      if (!result) {
+        response.writeHead(202);
+        response.end();
+        return;
+      }
+      sendJson(response, 200, result);
+    } catch (error) {
+      sendJson(response, 500, rpcError(null, -32603, String(error?.message || error)));
+    }
+  });
+  server.listen(port, host, () => {
+    process.stderr.write(`tasksAgent MCP server listening on http://${host}:${port}/mcp\n`);
+    if (generatedToken) {
+      process.stderr.write(`Bearer token (set TASKS_MCP_TOKEN to choose one): ${token}\n`);
+    }
+  });
+  return server;
+}
+
+let httpServer = null;
+
+function shutdown() {
+  closeBacklogWatchers();
+  if (httpServer) {
+    httpServer.close(() => process.exit(0));
+    return;
+  }
+  process.exit(0);
+}
+
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+  const handler = createHandler(listToolSchemas());
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  if (options.http) {
+    const generatedToken = !options.token;
+    if (generatedToken) options.token = crypto.randomBytes(24).toString('base64url');
+    httpServer = serveHttp(handler, { ...options, generatedToken });
+  } else {
+    serveStdio(handler);
+  }
+}
+
+main().catch((error) => {
+  process.stderr.write(`${String(error?.message || error)}\n`);
+  process.exit(1);
+});
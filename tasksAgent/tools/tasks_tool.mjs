@@ -10,6 +10,23 @@ import {
   forceSave
 } from 'achillesAgentLib/BacklogManager/backlogIO.mjs';
 import { pathToFileURL } from 'node:url';
+import {
+  QueryParseError,
+  parseTaskQuery,
+  parseSortArg,
+  matchesTaskQuery,
+  sortTasks,
+  encodeCursor,
+  decodeCursor
+} from './task_query.mjs';
+import {
+  buildDependencyGraph,
+  findDependencyCycle,
+  openDependencies,
+  topologicalOrder,
+  readyTasks
+} from './task_graph.mjs';
+import { listTools, validateToolArguments } from './tool_schema.mjs';
 
 const DEFAULT_CONFIG = {
   statuses: {
@@ -18,24 +35,62 @@ const DEFAULT_CONFIG = {
     'done': 'Done'
   },
   defaultStatus: 'new',
+  transitions: {
+    'new': ['approved', 'done'],
+    'approved': ['new', 'done'],
+    'done': ['new']
+  },
+  editableStatuses: ['new'],
+  terminalStatuses: ['done'],
+  resolutionRequiredStatuses: ['approved'],
+  priorities: ['low', 'medium', 'high', 'critical'],
+  tags: [],
   allowCustomTags: true
 };
 
+const CUSTOM_FIELD_KEY = /^[a-z0-9_-]+[.:][a-z0-9_.:-]+$/i;
+const DUE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const CONFIG_FILENAME = '.backlog.config.json';
+
+// Once the audit journal reaches this size it is renamed to <name>.audit.1.jsonl,
+// replacing the previous segment, and a new journal is started.
+const AUDIT_ROTATE_BYTES = 1024 * 1024;
+
+const COMPLETION_FIELDS = ['completedAt', 'completedBy', 'completedFrom', 'completionNote', 'completionCommit'];
+
+const UNDO_LIMIT = 50;
+
+const WATCH_TIMEOUT_MS = 25000;
+const WATCH_MAX_TIMEOUT_MS = 60000;
+const WATCH_SETTLE_MS = 50;
+
 const backlogMtimeCache = new Map();
 
-function safeParseJson(text) {
-  try { return JSON.parse(text); } catch { return null; }
+class TaskToolError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'TaskToolError';
+    this.code = code;
+    this.details = details;
+  }
 }
 
-function resolveAchillesBacklogPath() {
-  try {
-    if (typeof import.meta.resolve === 'function') {
-      return import.meta.resolve('achillesAgentLib/BacklogManager/backlogIO.mjs');
-    }
-  } catch {
-    // ignore
+class TaskConflictError extends TaskToolError {
+  constructor(message, current) {
+    super('CONFLICT', message, { current });
+    this.name = 'TaskConflictError';
+    this.current = current;
   }
-  return null;
+}
+
+// Populated only for repositories watched by the long-running server (tasks_server.mjs).
+const backlogWatchers = new Map();
+const backlogListCache = new Map();
+const freshBacklogs = new Set();
+
+function safeParseJson(text) {
+  try { return JSON.parse(text); } catch { return null; }
 }
 
 function writeJson(value) {
@@ -123,20 +178,20 @@ function normalizePloinkyPath(input) {
 function getRepoRootFromArgs(args = {}) {
   const repoPath = normalizePloinkyPath(normalizeString(args?.repoPath));
   if (!repoPath) {
-    throw new Error('repoPath is required.');
+    throw new TaskToolError('INVALID_PATH', 'repoPath is required.');
   }
   if (repoPath.startsWith('/.ploinky/')) {
-    throw new Error('repoPath must be an absolute filesystem path (e.g. /Users/.../repos/<repo>), not /.ploinky/...');
+    throw new TaskToolError('INVALID_PATH', 'repoPath must be an absolute filesystem path (e.g. /Users/.../repos/<repo>), not /.ploinky/...');
   }
   if (!path.isAbsolute(repoPath)) {
-    throw new Error('repoPath must be an absolute path.');
+    throw new TaskToolError('INVALID_PATH', 'repoPath must be an absolute path.');
   }
   const resolved = path.resolve(repoPath);
   if (!fsSync.existsSync(resolved)) {
-    throw new Error(`repoPath does not exist: ${resolved}`);
+    throw new TaskToolError('INVALID_PATH', `repoPath does not exist: ${resolved}`);
   }
   if (!fsSync.statSync(resolved).isDirectory()) {
-    throw new Error(`repoPath is not a directory: ${resolved}`);
+    throw new TaskToolError('INVALID_PATH', `repoPath is not a directory: ${resolved}`);
   }
   return resolved;
 }
@@ -144,26 +199,175 @@ function getRepoRootFromArgs(args = {}) {
 
 function normalizeConfig(input) {
   const cfg = input && typeof input === 'object' ? input : {};
-  let statuses = cfg.statuses && typeof cfg.statuses === 'object' ? cfg.statuses : DEFAULT_CONFIG.statuses;
-  if (statuses && (statuses.todo || statuses['in-progress'] || statuses['dev-ready'])) {
-    statuses = DEFAULT_CONFIG.statuses;
-  }
+  const statuses = cfg.statuses && typeof cfg.statuses === 'object' ? cfg.statuses : DEFAULT_CONFIG.statuses;
   const statusKeys = Object.keys(statuses);
   const defaultStatus = statusKeys.includes(cfg.defaultStatus) ? cfg.defaultStatus : DEFAULT_CONFIG.defaultStatus;
+  const transitions = {};
+  for (const key of statusKeys) {
+    const targets = cfg.transitions && typeof cfg.transitions === 'object'
+      ? cfg.transitions[key]
+      : statusKeys.filter((target) => target !== key);
+    transitions[key] = Array.isArray(targets) ? targets.filter((target) => statusKeys.includes(target)) : [];
+  }
+  const pickStatuses = (value, fallback) => (Array.isArray(value) ? value : fallback).filter((status) => statusKeys.includes(status));
+  const editableStatuses = pickStatuses(cfg.editableStatuses, DEFAULT_CONFIG.editableStatuses);
+  const resolvedDefault = statusKeys.includes(defaultStatus) ? defaultStatus : statusKeys[0];
+  const priorities = Array.isArray(cfg.priorities) ? cfg.priorities : DEFAULT_CONFIG.priorities;
   return {
     statuses,
-    defaultStatus: statusKeys.includes(defaultStatus) ? defaultStatus : statusKeys[0],
+    defaultStatus: resolvedDefault,
+    transitions,
+    editableStatuses: editableStatuses.length ? editableStatuses : [resolvedDefault],
+    terminalStatuses: pickStatuses(cfg.terminalStatuses, DEFAULT_CONFIG.terminalStatuses),
+    resolutionRequiredStatuses: pickStatuses(cfg.resolutionRequiredStatuses, DEFAULT_CONFIG.resolutionRequiredStatuses),
+    priorities: normalizeStringList(priorities),
+    tags: normalizeStringList(cfg.tags),
     allowCustomTags: cfg.allowCustomTags !== false
   };
 }
 
-async function loadConfig() {
-  const normalized = normalizeConfig(DEFAULT_CONFIG);
-  return { config: normalized, configPath: null };
+// editableStatuses guards a task's content: description, options, resolution and the
+// subtask list. Status, metadata and ticking subtasks stay open in every status.
+function assertTaskEditable(config, id, status) {
+  if (config.editableStatuses.includes(status)) return;
+  throw new TaskToolError('NOT_EDITABLE', `Task ${id} cannot be edited in status ${status}.`, { id, status, editableStatuses: config.editableStatuses });
+}
+
+// Moving a task into a terminal status completes it and files it in history.
+function isTerminalStatus(config, status) {
+  return config.terminalStatuses.includes(status);
+}
+
+// Entering one of these statuses needs a resolution and clears the candidate options.
+function requiresResolution(config, status) {
+  return config.resolutionRequiredStatuses.includes(status);
+}
+
+function isStatusTransitionAllowed(config, from, to) {
+  if (from === to) return true;
+  const targets = config?.transitions?.[from];
+  return Array.isArray(targets) && targets.includes(to);
+}
+
+function validateConfigFile(cfg, configPath) {
+  if (!cfg || typeof cfg !== 'object' || Array.isArray(cfg)) {
+    throw new TaskToolError('INVALID_CONFIG', `Invalid backlog config ${configPath}: expected a JSON object.`);
+  }
+  if (cfg.statuses !== undefined) {
+    const statuses = cfg.statuses;
+    if (!statuses || typeof statuses !== 'object' || Array.isArray(statuses) || !Object.keys(statuses).length) {
+      throw new TaskToolError('INVALID_CONFIG', `Invalid backlog config ${configPath}: statuses must be a non-empty object.`);
+    }
+    for (const [key, label] of Object.entries(statuses)) {
+      if (!normalizeString(key) || typeof label !== 'string') {
+        throw new TaskToolError('INVALID_CONFIG', `Invalid backlog config ${configPath}: status "${key}" must map to a string label.`);
+      }
+    }
+  }
+  if (cfg.transitions !== undefined) {
+    const transitions = cfg.transitions;
+    if (!transitions || typeof transitions !== 'object' || Array.isArray(transitions)) {
+      throw new TaskToolError('INVALID_CONFIG', `Invalid backlog config ${configPath}: transitions must be an object.`);
+    }
+    for (const [key, targets] of Object.entries(transitions)) {
+      if (!Array.isArray(targets) || targets.some((target) => typeof target !== 'string')) {
+        throw new TaskToolError('INVALID_CONFIG', `Invalid backlog config ${configPath}: transitions for "${key}" must be an array of status keys.`);
+      }
+    }
+  }
+  for (const key of ['editableStatuses', 'terminalStatuses', 'resolutionRequiredStatuses']) {
+    if (cfg[key] !== undefined && (!Array.isArray(cfg[key]) || cfg[key].some((status) => typeof status !== 'string'))) {
+      throw new TaskToolError('INVALID_CONFIG', `Invalid backlog config ${configPath}: ${key} must be an array of status keys.`);
+    }
+  }
+  for (const key of ['priorities', 'tags']) {
+    if (cfg[key] !== undefined && (!Array.isArray(cfg[key]) || cfg[key].some((value) => typeof value !== 'string'))) {
+      throw new TaskToolError('INVALID_CONFIG', `Invalid backlog config ${configPath}: ${key} must be an array of strings.`);
+    }
+  }
+  if (cfg.defaultStatus !== undefined && typeof cfg.defaultStatus !== 'string') {
+    throw new TaskToolError('INVALID_CONFIG', `Invalid backlog config ${configPath}: defaultStatus must be a string.`);
+  }
+  if (cfg.allowCustomTags !== undefined && typeof cfg.allowCustomTags !== 'boolean') {
+    throw new TaskToolError('INVALID_CONFIG', `Invalid backlog config ${configPath}: allowCustomTags must be a boolean.`);
+  }
+}
+
+async function readConfigFile(configPath) {
+  let raw = '';
+  try {
+    raw = await fs.readFile(configPath, 'utf8');
+  } catch {
+    return null;
+  }
+  const parsed = safeParseJson(raw);
+  if (parsed === null) {
+    throw new TaskToolError('INVALID_CONFIG', `Invalid backlog config ${configPath}: not valid JSON.`);
+  }
+  validateConfigFile(parsed, configPath);
+  return parsed;
+}
+
+function listConfigCandidates(root, targetPath) {
+  const candidates = [path.join(root, CONFIG_FILENAME)];
+  const target = normalizePloinkyPath(normalizeString(targetPath));
+  if (!target || !path.isAbsolute(target)) return candidates;
+  const relativeDir = path.relative(root, path.dirname(path.resolve(target)));
+  if (!relativeDir || relativeDir.startsWith('..') || path.isAbsolute(relativeDir)) return candidates;
+  let current = root;
+  for (const segment of relativeDir.split(path.sep)) {
+    current = path.join(current, segment);
+    candidates.push(path.join(current, CONFIG_FILENAME));
+  }
+  return candidates;
+}
+
+async function loadConfig(root, targetPath = '') {
+  let merged = { ...DEFAULT_CONFIG };
+  const configPaths = [];
+  let defaultStatusSource = null;
+  let transitionsSource = null;
+  for (const candidate of listConfigCandidates(root, targetPath)) {
+    const fileConfig = await readConfigFile(candidate);
+    if (!fileConfig) continue;
+    merged = { ...merged, ...fileConfig };
+    if (fileConfig.statuses !== undefined && fileConfig.transitions === undefined) {
+      delete merged.transitions;
+    }
+    configPaths.push(candidate);
+    if (fileConfig.defaultStatus !== undefined) defaultStatusSource = candidate;
+    if (fileConfig.transitions !== undefined) transitionsSource = candidate;
+  }
+  const statusKeys = Object.keys(merged.statuses);
+  if (defaultStatusSource && !statusKeys.includes(merged.defaultStatus)) {
+    throw new TaskToolError('INVALID_CONFIG', `Invalid backlog config ${defaultStatusSource}: defaultStatus "${merged.defaultStatus}" is not a configured status.`);
+  }
+  if (transitionsSource) {
+    for (const [from, targets] of Object.entries(merged.transitions)) {
+      const unknown = [from, ...targets].find((status) => !statusKeys.includes(status));
+      if (unknown) {
+        throw new TaskToolError('INVALID_CONFIG', `Invalid backlog config ${transitionsSource}: transitions reference unknown status "${unknown}".`);
+      }
+    }
+  }
+  const normalized = normalizeConfig(merged);
+  return {
+    config: normalized,
+    configPath: configPaths.length ? configPaths[configPaths.length - 1] : null,
+    configPaths
+  };
+}
+
+function schemaContext(config) {
+  return { statuses: Object.keys(config.statuses || {}), priorities: config.priorities || [] };
+}
+
+export function listToolSchemas() {
+  return listTools(schemaContext(DEFAULT_CONFIG));
 }
 
-async function loadBacklogIndex(root, backlogPath = '') {
-  const { tasks, backlogPaths, files } = await loadTasks(root, backlogPath);
+async function loadBacklogIndex(root, backlogPath = '', config = DEFAULT_CONFIG) {
+  const { tasks, backlogPaths, files } = await loadTasks(root, backlogPath, config);
   return { tasks, files, backlogPaths };
 }
 
@@ -187,17 +391,17 @@ function resolveBacklogPath(root, backlogPath) {
   const raw = normalizePloinkyPath(normalizeString(backlogPath));
   if (!raw) return '';
   if (raw.startsWith('/.ploinky/')) {
-    throw new Error('backlogPath must be an absolute filesystem path inside repoPath, not /.ploinky/...');
+    throw new TaskToolError('INVALID_PATH', 'backlogPath must be an absolute filesystem path inside repoPath, not /.ploinky/...');
   }
   if (!path.isAbsolute(raw)) {
-    throw new Error('backlogPath must be an absolute path.');
+    throw new TaskToolError('INVALID_PATH', 'backlogPath must be an absolute path.');
   }
   const absolute = path.resolve(raw);
   if (!isBacklogFilename(absolute)) {
-    throw new Error('backlogPath must end with .backlog.');
+    throw new TaskToolError('INVALID_PATH', 'backlogPath must end with .backlog.');
   }
   if (!isSafeChildPath(root, absolute)) {
-    throw new Error('backlogPath must be inside repoPath.');
+    throw new TaskToolError('INVALID_PATH', 'backlogPath must be inside repoPath.');
   }
   return absolute;
 }
@@ -206,22 +410,73 @@ function resolveHistoryPath(root, historyPath) {
   const raw = normalizePloinkyPath(normalizeString(historyPath));
   if (!raw) return '';
   if (raw.startsWith('/.ploinky/')) {
-    throw new Error('backlogPath must be an absolute filesystem path inside repoPath, not /.ploinky/...');
+    throw new TaskToolError('INVALID_PATH', 'backlogPath must be an absolute filesystem path inside repoPath, not /.ploinky/...');
   }
   if (!path.isAbsolute(raw)) {
-    throw new Error('backlogPath must be an absolute path.');
+    throw new TaskToolError('INVALID_PATH', 'backlogPath must be an absolute path.');
   }
   const absolute = path.resolve(raw);
   if (!isHistoryFilename(absolute)) {
-    throw new Error('backlogPath must end with .history.');
+    throw new TaskToolError('INVALID_PATH', 'backlogPath must end with .history.');
   }
   if (!isSafeChildPath(root, absolute)) {
-    throw new Error('backlogPath must be inside repoPath.');
+    throw new TaskToolError('INVALID_PATH', 'backlogPath must be inside repoPath.');
   }
   return absolute;
 }
 
+function isWatchedPath(filePath) {
+  for (const root of backlogWatchers.keys()) {
+    if (filePath === root || isSafeChildPath(root, filePath)) return true;
+  }
+  return false;
+}
+
+export function invalidateBacklogCache(root, filePath = '', eventType = 'rename') {
+  if (eventType === 'rename' || !filePath) {
+    backlogListCache.delete(root);
+  }
+  if (!filePath) {
+    for (const backlogPath of [...freshBacklogs]) {
+      if (isSafeChildPath(root, backlogPath)) freshBacklogs.delete(backlogPath);
+    }
+    return;
+  }
+  if (isBacklogFilename(filePath) || isHistoryFilename(filePath)) {
+    const backlogPath = filePath.replace(/\.history$/i, BACKLOG_EXTENSION);
+    freshBacklogs.delete(backlogPath);
+    backlogMtimeCache.delete(backlogPath);
+  }
+}
+
+export function watchBacklogRoot(root) {
+  if (backlogWatchers.has(root)) return true;
+  try {
+    const watcher = fsSync.watch(root, { recursive: true, persistent: false }, (eventType, filename) => {
+      invalidateBacklogCache(root, filename ? path.join(root, String(filename)) : '', eventType);
+    });
+    watcher.on('error', () => {
+      watcher.close();
+      backlogWatchers.delete(root);
+      invalidateBacklogCache(root);
+    });
+    backlogWatchers.set(root, watcher);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function closeBacklogWatchers() {
+  for (const [root, watcher] of backlogWatchers) {
+    watcher.close();
+    invalidateBacklogCache(root);
+  }
+  backlogWatchers.clear();
+}
+
 async function listBacklogFiles(root) {
+  if (backlogListCache.has(root)) return [...backlogListCache.get(root)];
   const results = [];
   const walk = async (current, depth) => {
     if (depth > 12) return;
@@ -244,7 +499,9 @@ async function listBacklogFiles(root) {
     }
   };
   await walk(root, 0);
-  return results.sort();
+  results.sort();
+  if (backlogWatchers.has(root)) backlogListCache.set(root, results);
+  return [...results];
 }
 
 async function loadTasksCached(backlogPath) {
@@ -271,6 +528,75 @@ async function loadTasksCached(backlogPath) {
   return entry?.tasks || [];
 }
 
+function generateTaskId(taken) {
+  let id = '';
+  do {
+    id = crypto.randomBytes(4).toString('hex');
+  } while (taken.has(id));
+  taken.add(id);
+  return id;
+}
+
+// Tasks stored without an id get one derived from their list position and text, so
+// read-only calls agree on it until the next save writes it to the file.
+function deriveTaskId(seed, taken) {
+  for (let attempt = 0; ; attempt += 1) {
+    const id = crypto.createHash('sha1').update(`${seed}:${attempt}`).digest('hex').slice(0, 8);
+    if (!taken.has(id)) {
+      taken.add(id);
+      return id;
+    }
+  }
+}
+
+function assignTaskIds(...lists) {
+  const taken = new Set();
+  const missing = [];
+  lists.forEach((list, listIndex) => {
+    list.forEach((task, index) => {
+      if (!task || typeof task !== 'object') return;
+      const id = normalizeString(task.id);
+      if (id && !taken.has(id)) {
+        taken.add(id);
+      } else {
+        missing.push({ task, seed: `${listIndex}:${index}:${normalizeString(task.description)}` });
+      }
+    });
+  });
+  for (const { task, seed } of missing) {
+    task.id = deriveTaskId(seed, taken);
+  }
+}
+
+// A missing status, or one the configuration no longer defines (a legacy new/approved or
+// a status removed from .backlog.config.json), is read through computeStatus so the task
+// can still be updated and moved on through the workflow.
+function assignTaskStatuses(tasks, config) {
+  for (const task of tasks) {
+    if (!task || typeof task !== 'object') continue;
+    if (Object.hasOwn(config.statuses, normalizeString(task.status))) continue;
+    task.status = computeStatus(task, config);
+  }
+}
+
+// Missing ids and unknown statuses are filled in on the cached entry only; the next
+// mutation saves them along with its own change.
+async function loadBacklogEntry(backlogPath, { refresh = false, config = DEFAULT_CONFIG } = {}) {
+  if (refresh && !freshBacklogs.has(backlogPath)) {
+    await refreshBacklogFile(backlogPath);
+  } else {
+    await loadTasksCached(backlogPath);
+  }
+  const entry = await loadBacklogFile(backlogPath);
+  if (!entry) return entry;
+  entry.tasks = Array.isArray(entry.tasks) ? entry.tasks : [];
+  entry.history = Array.isArray(entry.history) ? entry.history : [];
+  assignTaskIds(entry.tasks, entry.history);
+  assignTaskStatuses(entry.tasks, config);
+  if (isWatchedPath(backlogPath)) freshBacklogs.add(backlogPath);
+  return entry;
+}
+
 async function readBacklogFromDisk(backlogPath) {
   try {
     const raw = await fs.readFile(backlogPath, 'utf8');
@@ -292,16 +618,18 @@ async function ensureBacklogFile(backlogPath) {
   }
   try {
     await fs.writeFile(backlogPath, JSON.stringify([], null, 2));
+    backlogListCache.clear();
     return true;
   } catch {
     return false;
   }
 }
 
-async function loadTasks(root, backlogPath = '') {
+async function loadTasks(root, backlogPath = '', config = DEFAULT_CONFIG) {
   const resolved = backlogPath ? resolveBacklogPath(root, backlogPath) : '';
   if (resolved) {
-    const tasks = await loadTasksCached(resolved);
+    const entry = await loadBacklogEntry(resolved, { config });
+    const tasks = entry?.tasks || [];
     return {
       tasks: decorateTasks(tasks, resolved),
       backlogPaths: [resolved],
@@ -315,7 +643,8 @@ async function loadTasks(root, backlogPath = '') {
   const tasks = [];
   const files = [];
   for (const filePath of backlogPaths) {
-    const fileTasks = await loadTasksCached(filePath);
+    const entry = await loadBacklogEntry(filePath, { config });
+    const fileTasks = entry?.tasks || [];
     const decorated = decorateTasks(fileTasks, filePath);
     tasks.push(...decorated);
     files.push({ path: filePath, tasks: decorated });
@@ -323,34 +652,49 @@ async function loadTasks(root, backlogPath = '') {
   return { tasks, backlogPaths, files };
 }
 
-function computeStatus(task) {
+// A resolved task without options counts as approved when the workflow has that
+// status; everything else starts at the configured default.
+function computeStatus(task, config = DEFAULT_CONFIG) {
   const options = Array.isArray(task?.options) ? task.options : [];
   const resolution = normalizeString(task?.resolution);
-  if (!options.length && resolution) return 'approved';
-  return 'new';
+  const legacy = !options.length && resolution ? 'approved' : 'new';
+  return Object.hasOwn(config.statuses, legacy) ? legacy : config.defaultStatus;
 }
 
-function taskHash(task, index) {
-  const normalized = normalizeTask(task);
-  const payload = {
-    index,
-    description: normalized.description,
-    options: normalized.options,
-    resolution: normalized.resolution
+// Only the task's own content, so deleting or reordering other tasks leaves it valid as
+// an ifMatch token. Whole-file order changes are covered by backlogRevision.
+function taskHash(task) {
+  return crypto.createHash('sha1').update(JSON.stringify(normalizeTask(task))).digest('hex');
+}
+
+// A content ETag rather than a stored counter, so edits made outside the agent also
+// produce a new revision.
+function backlogRevision(tasks) {
+  const normalized = (Array.isArray(tasks) ? tasks : []).map((task) => normalizeTask(task));
+  return crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex');
+}
+
+function computeProgress(task) {
+  const subtasks = Array.isArray(task?.subtasks) ? task.subtasks : [];
+  if (!subtasks.length) return null;
+  return {
+    done: subtasks.filter((subtask) => subtask.done).length,
+    total: subtasks.length
   };
-  return crypto.createHash('sha1').update(JSON.stringify(payload)).digest('hex');
 }
 
 function decorateTask(task, sourcePath, index) {
   const normalized = normalizeTask(task);
   const position = Number.isFinite(index) ? index : 0;
+  const progress = computeProgress(normalized);
   return {
     ...normalized,
-    id: String(position + 1),
+    id: normalized.id,
     order: position + 1,
-    status: computeStatus(normalized),
+    status: normalized.status || computeStatus(normalized),
+    ...(progress ? { progress } : {}),
     sourcePath,
-    taskHash: taskHash(normalized, position + 1)
+    taskHash: taskHash(normalized)
   };
 }
 
@@ -362,13 +706,15 @@ function decorateTasks(tasks, sourcePath) {
 function decorateHistoryTask(task, sourcePath, index) {
   const normalized = normalizeTask(task);
   const position = Number.isFinite(index) ? index : 0;
+  const progress = computeProgress(normalized);
   return {
     ...normalized,
-    id: String(position + 1),
+    id: normalized.id,
     order: position + 1,
-    status: 'done',
+    status: normalized.status || 'done',
+    ...(progress ? { progress } : {}),
     sourcePath,
-    taskHash: taskHash(normalized, position + 1)
+    taskHash: taskHash(normalized)
   };
 }
 
@@ -390,338 +736,1552 @@ function normalizeTask(task) {
     return String(option);
   }).filter((option) => option.trim());
   const resolution = normalizeString(task.resolution);
-  return {
+  const id = normalizeString(task.id);
+  const status = normalizeString(task.status);
+  const normalized = {
     description: normalizeString(task.description),
     options,
     resolution
   };
+  if (status) normalized.status = status;
+  const subtasks = normalizeSubtasks(task.subtasks);
+  if (subtasks.length) normalized.subtasks = subtasks;
+  Object.assign(normalized, normalizeTaskMetadata(task));
+  return id ? { id, ...normalized } : normalized;
 }
 
-async function maybeForceSave(backlogPath, args) {
-  const shouldForce = args?.forceSave !== false;
-  if (shouldForce) {
-    await forceSave(backlogPath);
-  }
-}
-
-function parseTaskIndex(id) {
-  const numeric = Number.parseInt(String(id || '').trim(), 10);
-  if (!Number.isFinite(numeric) || numeric < 1) return null;
-  return numeric - 1;
+function normalizeSubtasks(value) {
+  const list = Array.isArray(value) ? value : [];
+  return list
+    .filter((subtask) => subtask && typeof subtask === 'object')
+    .map((subtask) => ({
+      id: normalizeString(subtask.id),
+      description: normalizeString(subtask.description),
+      done: subtask.done === true
+    }))
+    .filter((subtask) => subtask.id && subtask.description);
 }
 
-function matchQuery(task, query) {
-  const q = normalizeString(query).toLowerCase();
-  if (!q) return true;
-  const description = normalizeString(task.description).toLowerCase();
-  const resolution = normalizeString(task.resolution).toLowerCase();
-  const options = Array.isArray(task.options) ? task.options.join(' ').toLowerCase() : '';
-  return description.includes(q) || resolution.includes(q) || options.includes(q);
+function normalizeStringList(value) {
+  const list = Array.isArray(value) ? value : [];
+  const tags = list.map((tag) => normalizeString(tag)).filter(Boolean);
+  return [...new Set(tags)];
 }
 
-function taskMatchesFilters(task, filters) {
-  const status = normalizeString(filters.status);
-  if (status && normalizeString(task.status) !== status) return false;
-  if (!matchQuery(task, filters.q)) return false;
-  return true;
+function normalizeEstimate(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  const text = normalizeString(value);
+  return text || null;
 }
 
-async function main() {
-  let raw = await fs.readFile(0, 'utf8').catch(() => '');
-  if (!raw) {
-    raw = await readStdinFallback();
+function normalizeCustomFields(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  const custom = {};
+  for (const [key, fieldValue] of Object.entries(value)) {
+    if (!CUSTOM_FIELD_KEY.test(key) || fieldValue === null || fieldValue === undefined) continue;
+    custom[key] = fieldValue;
   }
-  const envelope = raw && raw.trim() ? safeParseJson(raw) : null;
-  const args = normalizeInput(envelope || {});
-  const toolName = process.env.TOOL_NAME
-    || process.argv[2]
-    || envelope?.tool
-    || envelope?.params?.name
-    || envelope?.params?.tool_name
-    || envelope?.name
-    || envelope?.tool_name
-    || args?.tool_name
-    || args?.name;
+  return custom;
+}
 
-  if (!toolName) {
-    writeJson({ ok: false, error: 'Missing TOOL_NAME.' });
-    return;
+function normalizeTaskMetadata(task) {
+  const metadata = {};
+  const tags = normalizeStringList(task.tags);
+  if (tags.length) metadata.tags = tags;
+  const assignee = normalizeString(task.assignee);
+  if (assignee) metadata.assignee = assignee;
+  const priority = normalizeString(task.priority);
+  if (priority) metadata.priority = priority;
+  const estimate = normalizeEstimate(task.estimate);
+  if (estimate !== null) metadata.estimate = estimate;
+  const dueDate = normalizeString(task.dueDate);
+  if (dueDate) metadata.dueDate = dueDate;
+  const createdAt = normalizeString(task.createdAt);
+  if (createdAt) metadata.createdAt = createdAt;
+  const updatedAt = normalizeString(task.updatedAt);
+  if (updatedAt) metadata.updatedAt = updatedAt;
+  for (const key of COMPLETION_FIELDS) {
+    const value = normalizeString(task[key]);
+    if (value) metadata[key] = value;
   }
+  const custom = normalizeCustomFields(task.custom);
+  if (Object.keys(custom).length) metadata.custom = custom;
+  const dependsOn = normalizeStringList(task.dependsOn);
+  if (dependsOn.length) metadata.dependsOn = dependsOn;
+  const blocks = normalizeStringList(task.blocks);
+  if (blocks.length) metadata.blocks = blocks;
+  return metadata;
+}
 
-  const root = getRepoRootFromArgs(args);
-  try {
-    if (toolName === 'task_config') {
-      const { config, configPath } = await loadConfig();
-      writeJson({ ok: true, config, configPath });
-      return;
-    }
+function isWithinDateRange(value, after, before) {
+  const from = normalizeString(after);
+  const to = normalizeString(before);
+  if (!from && !to) return true;
+  const text = normalizeString(value);
+  if (!text) return false;
+  if (from && text.slice(0, from.length) < from) return false;
+  if (to && text.slice(0, to.length) > to) return false;
+  return true;
+}
 
-    const { config } = await loadConfig();
-    const backlogPathRaw = args?.backlogPath ?? args?.backlog_path ?? args?.path ?? '';
-    const backlogPathArg = normalizeString(backlogPathRaw);
+function isValidDueDate(value) {
+  if (!DUE_DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
 
-    if (toolName === 'task_list') {
-      const { tasks, files } = await loadBacklogIndex(root, backlogPathArg);
-      const filters = args && typeof args === 'object' ? args : {};
-      let taskList = tasks;
-      if (backlogPathArg) {
-        const sourcePath = resolveBacklogPath(root, backlogPathArg);
-        await refreshBacklogFile(sourcePath);
-        const entry = await loadBacklogFile(sourcePath);
-        const fileTasks = Array.isArray(entry?.tasks) ? entry.tasks : [];
-        taskList = decorateTasks(fileTasks, sourcePath);
-      }
-      if (filters.__debug === true) {
-        let fileInfo = {};
-        try {
-          const stat = fsSync.statSync(backlogPathArg);
-          fileInfo = {
-            exists: true,
-            size: Number(stat.size) || 0,
-            mtimeMs: Number(stat.mtimeMs) || 0
-          };
-          const preview = fsSync.readFileSync(backlogPathArg, 'utf8');
-          fileInfo.preview = preview.slice(0, 200);
-        } catch (error) {
-          fileInfo = { exists: false, error: String(error?.message || error) };
-        }
-        let loadedCount = null;
-        try {
-          const debugPath = backlogPathArg ? resolveBacklogPath(root, backlogPathArg) : backlogPathArg;
-          await refreshBacklogFile(debugPath);
-          const entry = await loadBacklogFile(debugPath);
-          loadedCount = Array.isArray(entry?.tasks) ? entry.tasks.length : null;
-        } catch (error) {
-          loadedCount = { error: String(error?.message || error) };
-        }
-        writeJson({
-          ok: false,
-          error: 'debug',
-          debug: {
-            argsKeys: Object.keys(filters),
-            backlogPathRaw,
-            backlogPathArg,
-            workspaceRoot: getWorkspaceRoot(),
-            repoPath: normalizeString(args?.repoPath),
-            achillesBacklogIO: resolveAchillesBacklogPath(),
-            backlogFile: fileInfo,
-            loadedTaskCount: loadedCount,
-            fileCount: Array.isArray(files) ? files.length : null,
-            root
-          }
-        });
-        return;
-      }
-      if (!backlogPathArg) {
-        writeJson({ ok: false, error: 'backlogPath is required.' });
-        return;
-      }
-      let filtered = taskList.filter((task) => taskMatchesFilters(task, filters));
-      const limit = Number.isFinite(Number(filters.limit)) ? Number(filters.limit) : null;
-      if (limit && limit > 0) filtered = filtered.slice(0, limit);
-      writeJson({ ok: true, tasks: filtered });
-      return;
+function applyMetadataArgs(task, args, config) {
+  if (args?.tags !== undefined) {
+    if (args.tags !== null && !Array.isArray(args.tags)) {
+      throw new TaskToolError('VALIDATION', 'tags must be an array of strings.');
     }
-
-    if (toolName === 'task_history_list') {
-      if (!backlogPathArg) {
-        writeJson({ ok: false, error: 'backlogPath is required.' });
-        return;
+    const tags = normalizeStringList(args.tags);
+    if (!config.allowCustomTags) {
+      const unknown = tags.filter((tag) => !config.tags.includes(tag));
+      if (unknown.length) {
+        throw new TaskToolError('VALIDATION', `Custom tags are not allowed: ${unknown.join(', ')}`);
       }
-      const historyPath = resolveHistoryPath(root, backlogPathArg);
-      const sourcePath = historyPath.replace(/\.history$/i, '.backlog');
-      await refreshBacklogFile(sourcePath);
-      const entry = await loadBacklogFile(sourcePath);
-      const historyTasks = Array.isArray(entry?.history) ? entry.history : [];
-      const decorated = decorateHistoryTasks(historyTasks, historyPath);
-      const query = normalizeString(args?.q);
-      let filtered = decorated;
-      if (query) {
-        filtered = decorated.filter((task) => matchQuery(task, query));
-      }
-      const limit = Number.isFinite(Number(args?.limit)) ? Number(args.limit) : null;
-      if (limit && limit > 0) filtered = filtered.slice(0, limit);
-      writeJson({ ok: true, tasks: filtered });
-      return;
     }
-
-    if (toolName === 'task_get') {
-      const id = normalizeString(args?.id);
-      if (!id) throw new Error('task_get requires an "id" string.');
-      if (!backlogPathArg) {
-        writeJson({ ok: false, error: 'backlogPath is required.' });
-        return;
-      }
-      const sourcePath = resolveBacklogPath(root, backlogPathArg);
-      await loadTasksCached(sourcePath);
-      const entry = await loadBacklogFile(sourcePath);
-      const fileTasks = entry?.tasks || [];
-      const index = parseTaskIndex(id);
-      if (index === null || index >= fileTasks.length) {
-        writeJson({ ok: false, error: `Task not found: ${id}` });
-        return;
-      }
-      writeJson({ ok: true, task: decorateTask(fileTasks[index], sourcePath, index) });
-      return;
+    task.tags = tags;
+  }
+  if (args?.assignee !== undefined) {
+    task.assignee = normalizeString(args.assignee);
+  }
+  if (args?.priority !== undefined) {
+    const priority = normalizeString(args.priority);
+    if (priority && !config.priorities.includes(priority)) {
+      throw new TaskToolError('VALIDATION', `Unknown priority: ${priority}`);
     }
-
-    if (toolName === 'task_create') {
-      if (!backlogPathArg) {
-        writeJson({ ok: false, error: 'backlogPath is required.' });
-        return;
-      }
-      const description = normalizeString(args?.description);
-      if (!description) {
-        writeJson({ ok: false, error: 'description is required.' });
-        return;
-      }
-      const rawOptions = Array.isArray(args?.options) ? args.options : [];
-      const options = rawOptions.map((option) => {
-        if (typeof option === 'string') return option;
-        if (option === null || typeof option === 'undefined') return '';
-        return String(option);
-      }).filter((option) => option.trim());
-      const resolution = normalizeString(args?.resolution);
-      const task = normalizeTask({
-        description,
-        options,
-        resolution
-      });
-      const targetPath = resolveBacklogPath(root, backlogPathArg);
-      await ensureBacklogFile(targetPath);
-      await loadTasksCached(targetPath);
-      const entry = await loadBacklogFile(targetPath);
-      entry.tasks.push(task);
-      await saveBacklogFile(targetPath, { tasks: entry.tasks });
-      await maybeForceSave(targetPath, args);
-      writeJson({ ok: true, task: decorateTask(task, targetPath, entry.tasks.length - 1) });
-      return;
+    task.priority = priority;
+  }
+  if (args?.estimate !== undefined) {
+    const estimate = args.estimate === null || args.estimate === '' ? null : normalizeEstimate(args.estimate);
+    if (estimate === null && args.estimate !== null && args.estimate !== '') {
+      throw new TaskToolError('VALIDATION', 'estimate must be a non-negative number or a non-empty string.');
     }
-
-    if (toolName === 'task_update') {
-      const id = normalizeString(args?.id);
-      if (!id) throw new Error('task_update requires an "id" string.');
-      if (!backlogPathArg) {
-        writeJson({ ok: false, error: 'backlogPath is required.' });
-        return;
+    task.estimate = estimate;
+  }
+  if (args?.dueDate !== undefined) {
+    const dueDate = normalizeString(args.dueDate);
+    if (dueDate && !isValidDueDate(dueDate)) {
+      throw new TaskToolError('VALIDATION', `dueDate must be a YYYY-MM-DD date: ${dueDate}`);
+    }
+    task.dueDate = dueDate;
+  }
+  if (args?.custom !== undefined) {
+    if (args.custom !== null && (typeof args.custom !== 'object' || Array.isArray(args.custom))) {
+      throw new TaskToolError('VALIDATION', 'custom must be an object keyed by namespaced field names.');
+    }
+    const custom = { ...normalizeCustomFields(task.custom) };
+    for (const [key, value] of Object.entries(args.custom || {})) {
+      if (!CUSTOM_FIELD_KEY.test(key)) {
+        throw new TaskToolError('VALIDATION', `Custom field names must be namespaced (e.g. "team.area"): ${key}`);
       }
-      const sourcePath = resolveBacklogPath(root, backlogPathArg);
-      await loadTasksCached(sourcePath);
-      const entry = await loadBacklogFile(sourcePath);
-      const fileTasks = entry?.tasks || [];
-      const taskIndex = parseTaskIndex(id);
-      if (taskIndex === null || taskIndex >= fileTasks.length) {
-        writeJson({ ok: false, error: `Task not found: ${id}` });
-        return;
-      }
-      const task = fileTasks[taskIndex];
-      if (args?.description !== undefined) task.description = normalizeString(args.description);
-      if (args?.options !== undefined) {
-        const rawOptions = Array.isArray(args.options) ? args.options : [];
-        task.options = rawOptions.map((option) => {
-          if (typeof option === 'string') return option;
-          if (option === null || typeof option === 'undefined') return '';
-          return String(option);
-        }).filter((option) => option.trim());
-      }
-      if (args?.resolution !== undefined) task.resolution = normalizeString(args.resolution);
-      if (args?.status === 'approved') {
-        if (!normalizeString(task.resolution)) {
-          writeJson({ ok: false, error: 'Cannot approve without resolution.' });
-          return;
-        }
-        task.options = [];
-      }
-      if (args?.status === 'done') {
-        const resolved = normalizeString(task.resolution);
-        const historyTask = normalizeTask({
-          description: task.description,
-          options: [],
-          resolution: resolved || 'Executed.'
-        });
-        const history = Array.isArray(entry.history) ? entry.history : [];
-        history.push(historyTask);
-        fileTasks.splice(taskIndex, 1);
-        if (entry) {
-          entry.tasks = fileTasks;
-          entry.history = history;
-        }
-        await saveBacklogFile(sourcePath, { tasks: fileTasks, history });
-        await maybeForceSave(sourcePath, args);
-        writeJson({ ok: true, done: true });
-        return;
+      if (value === null) {
+        delete custom[key];
+      } else {
+        custom[key] = value;
       }
-      fileTasks[taskIndex] = normalizeTask(task);
-      if (entry) entry.tasks = fileTasks;
-      await saveBacklogFile(sourcePath, { tasks: fileTasks });
-      await maybeForceSave(sourcePath, args);
-      writeJson({ ok: true, task: decorateTask(fileTasks[taskIndex], sourcePath, taskIndex) });
-      return;
     }
+    task.custom = args.custom === null ? {} : custom;
+  }
+  return task;
+}
 
-    if (toolName === 'task_delete') {
-      const id = normalizeString(args?.id);
-      if (!id) throw new Error('task_delete requires an "id" string.');
-      if (!backlogPathArg) {
-        writeJson({ ok: false, error: 'backlogPath is required.' });
-        return;
-      }
-      const sourcePath = resolveBacklogPath(root, backlogPathArg);
-      await loadTasksCached(sourcePath);
-      const entry = await loadBacklogFile(sourcePath);
-      const fileTasks = entry?.tasks || [];
-      const index = parseTaskIndex(id);
-      if (index === null || index >= fileTasks.length) {
-        writeJson({ ok: false, error: `Task not found: ${id}` });
-        return;
-      }
-      const next = [...fileTasks];
-      next.splice(index, 1);
-      if (entry) entry.tasks = next;
-      await saveBacklogFile(sourcePath, { tasks: next });
-      await maybeForceSave(sourcePath, args);
-      writeJson({ ok: true, deleted: id });
-      return;
+function toRepoRelative(root, filePath) {
+  return path.relative(root, filePath).split(path.sep).join('/');
+}
+
+function parseTaskRef(root, sourcePath, ref) {
+  const text = normalizeString(ref);
+  const hashIndex = text.lastIndexOf('#');
+  const id = hashIndex >= 0 ? text.slice(hashIndex + 1).trim() : text;
+  if (!id) {
+    throw new TaskToolError('VALIDATION', `Invalid task reference: ${text}`);
+  }
+  if (hashIndex < 0) {
+    return { sourcePath, id };
+  }
+  const refPath = normalizePloinkyPath(text.slice(0, hashIndex).trim());
+  const absolute = path.resolve(root, refPath);
+  if (!isBacklogFilename(absolute) || !isSafeChildPath(root, absolute)) {
+    throw new TaskToolError('INVALID_PATH', `Task reference must point to a .backlog file inside repoPath: ${text}`);
+  }
+  return { sourcePath: absolute, id };
+}
+
+function taskRefKey(root, sourcePath, ref) {
+  const parsed = parseTaskRef(root, sourcePath, ref);
+  return `${toRepoRelative(root, parsed.sourcePath)}#${parsed.id}`;
+}
+
+function applyDependencyArgs(task, args, root, sourcePath) {
+  for (const key of ['dependsOn', 'blocks']) {
+    if (args?.[key] === undefined) continue;
+    if (args[key] !== null && !Array.isArray(args[key])) {
+      throw new TaskToolError('VALIDATION', `${key} must be an array of task references.`);
     }
+    task[key] = normalizeStringList(args[key]).map((ref) => {
+      const parsed = parseTaskRef(root, sourcePath, ref);
+      return parsed.sourcePath === sourcePath
+        ? parsed.id
+        : `${toRepoRelative(root, parsed.sourcePath)}#${parsed.id}`;
+    });
+  }
+  return task;
+}
 
-    if (toolName === 'task_reorder') {
-      if (!backlogPathArg) {
-        writeJson({ ok: false, error: 'backlogPath is required.' });
-        return;
-      }
-      const order = Array.isArray(args?.order) ? args.order : [];
-      if (!order.length) {
-        writeJson({ ok: false, error: 'order array is required.' });
-        return;
-      }
-      const sourcePath = resolveBacklogPath(root, backlogPathArg);
-      await loadTasksCached(sourcePath);
-      const entry = await loadBacklogFile(sourcePath);
-      const fileTasks = entry?.tasks || [];
-      const byIdMap = new Map(fileTasks.map((task, index) => [String(index + 1), task]));
-      const orderSet = new Set(order.map((rawId) => String(rawId || '').trim()).filter(Boolean));
-      const next = [];
-      for (const rawId of order) {
-        const id = String(rawId || '').trim();
-        const task = byIdMap.get(id);
-        if (task) next.push(task);
-      }
-      for (const [id, task] of byIdMap.entries()) {
-        if (!orderSet.has(id)) next.push(task);
-      }
-      if (entry) entry.tasks = next;
-      await saveBacklogFile(sourcePath, { tasks: next });
-      await maybeForceSave(sourcePath, args);
-      writeJson({ ok: true, tasks: decorateTasks(next, sourcePath) });
-      return;
+function toGraphNode(root, sourcePath, task, index, open) {
+  const normalized = normalizeTask(task);
+  const relativePath = toRepoRelative(root, sourcePath);
+  const refKeys = (refs) => normalizeStringList(refs).flatMap((ref) => {
+    try {
+      return [taskRefKey(root, sourcePath, ref)];
+    } catch {
+      return [];
     }
+  });
+  return {
+    key: `${relativePath}#${normalized.id}`,
+    id: normalized.id,
+    sourcePath,
+    relativePath,
+    order: open ? index + 1 : null,
+    description: normalized.description,
+    status: normalized.status || (open ? computeStatus(normalized) : 'done'),
+    open,
+    dependsOn: refKeys(normalized.dependsOn),
+    blocks: refKeys(normalized.blocks)
+  };
+}
 
-    writeJson({ ok: false, error: `Unknown tool: ${toolName}` });
-  } catch (error) {
-    writeJson({ ok: false, error: String(error?.message || error) });
+async function loadTaskGraphNodes(root, overlay = null) {
+  const nodes = [];
+  const files = await listBacklogFiles(root);
+  if (overlay && !files.includes(overlay.sourcePath)) files.push(overlay.sourcePath);
+  for (const filePath of files) {
+    const entry = overlay?.sourcePath === filePath ? overlay : await loadBacklogEntry(filePath);
+    const tasks = Array.isArray(entry?.tasks) ? entry.tasks : [];
+    const history = Array.isArray(entry?.history) ? entry.history : [];
+    tasks.forEach((task, index) => nodes.push(toGraphNode(root, filePath, task, index, true)));
+    history.forEach((task, index) => nodes.push(toGraphNode(root, filePath, task, index, false)));
   }
+  return nodes;
 }
 
-main().catch((error) => {
-  writeJson({ ok: false, error: String(error?.message || error) });
-});
+async function loadTaskGraph(root, sourcePath, task, state = null) {
+  const nodes = await loadTaskGraphNodes(root, state ? { sourcePath, ...state } : null);
+  const candidate = toGraphNode(root, sourcePath, task, 0, true);
+  const next = nodes.filter((node) => node.key !== candidate.key);
+  next.push(candidate);
+  return { graph: buildDependencyGraph(next), candidate, known: new Set(nodes.map((node) => node.key)) };
+}
+
+async function validateTaskDependencies(root, sourcePath, task, state = null) {
+  const { graph, candidate, known } = await loadTaskGraph(root, sourcePath, task, state);
+  const links = [...candidate.dependsOn, ...candidate.blocks];
+  if (links.includes(candidate.key)) {
+    throw new TaskToolError('DEPENDENCY', `Task ${candidate.id} cannot depend on itself.`, { id: candidate.id });
+  }
+  const unknown = links.find((key) => !known.has(key));
+  if (unknown) {
+    throw new TaskToolError('DEPENDENCY', `Unknown task reference: ${unknown}`, { ref: unknown });
+  }
+  const cycle = findDependencyCycle(graph);
+  if (cycle) {
+    throw new TaskToolError('DEPENDENCY', `Dependency cycle: ${cycle.join(' -> ')}`, { cycle });
+  }
+}
+
+function formatTaskRef(root, sourcePath, key) {
+  const hashIndex = key.lastIndexOf('#');
+  return key.slice(0, hashIndex) === toRepoRelative(root, sourcePath) ? key.slice(hashIndex + 1) : key;
+}
+
+function retargetTaskRefs(root, fromPath, toPath, task, renames) {
+  const next = {};
+  let changed = false;
+  for (const key of ['dependsOn', 'blocks']) {
+    const refs = normalizeStringList(task?.[key]);
+    if (!refs.length) continue;
+    next[key] = refs.map((ref) => {
+      let refKey = '';
+      try {
+        refKey = taskRefKey(root, fromPath, ref);
+      } catch {
+        return ref;
+      }
+      return formatTaskRef(root, toPath, renames.get(refKey) || refKey);
+    });
+    if (next[key].some((ref, index) => ref !== refs[index])) changed = true;
+  }
+  return changed ? next : null;
+}
+
+function retargetStateRefs(root, sourcePath, state, renames) {
+  const changes = [];
+  for (const list of ['tasks', 'history']) {
+    state[list].forEach((task, index) => {
+      const refs = retargetTaskRefs(root, sourcePath, sourcePath, task, renames);
+      if (!refs) return;
+      const before = normalizeTask(task);
+      state[list][index] = normalizeTask({ ...task, ...refs });
+      changes.push({
+        taskId: before.id,
+        before: { list, index, task: before },
+        after: { list, index, task: state[list][index] }
+      });
+    });
+  }
+  return changes;
+}
+
+function resolveActor(envelope) {
+  const candidates = [
+    envelope?.caller,
+    envelope?.meta?.caller,
+    envelope?.params?._meta?.caller,
+    envelope?.params?._meta?.user,
+    envelope?.user,
+    envelope?.auth?.user
+  ];
+  for (const candidate of candidates) {
+    if (typeof candidate === 'string' && candidate.trim()) return candidate.trim();
+    if (candidate && typeof candidate === 'object') {
+      const id = normalizeString(candidate.id || candidate.username || candidate.email || candidate.name);
+      if (id) return id;
+    }
+  }
+  return null;
+}
+
+function resolveAuditPath(backlogPath, rotated = false) {
+  return backlogPath.replace(/\.backlog$/i, rotated ? '.audit.1.jsonl' : '.audit.jsonl');
+}
+
+async function rotateAuditJournal(backlogPath) {
+  const auditPath = resolveAuditPath(backlogPath);
+  const size = await fs.stat(auditPath).then((stat) => stat.size, () => 0);
+  if (size >= AUDIT_ROTATE_BYTES) {
+    await fs.rename(auditPath, resolveAuditPath(backlogPath, true));
+  }
+}
+
+async function appendAuditEvent(backlogPath, event) {
+  const record = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    ...event
+  };
+  await rotateAuditJournal(backlogPath);
+  await fs.appendFile(resolveAuditPath(backlogPath), `${JSON.stringify(record)}\n`);
+  return record;
+}
+
+async function readAuditEvents(backlogPath) {
+  const segments = await Promise.all([true, false].map((rotated) => fs.readFile(resolveAuditPath(backlogPath, rotated), 'utf8').catch(() => '')));
+  const raw = segments.join('\n');
+  return raw.split('\n')
+    .map((line) => (line.trim() ? safeParseJson(line) : null))
+    .filter((event) => event && typeof event === 'object');
+}
+
+// Sidecars are written after the backlog is saved, so a failure there is reported on the
+// successful response instead of failing a call the client would then retry.
+function sidecarWarning(code, sidecar, error) {
+  return { code, message: `The change was saved, but the ${sidecar} could not be written: ${String(error?.message || error)}` };
+}
+
+function withWarnings(response, warnings) {
+  return warnings.length ? { ...response, warnings } : response;
+}
+
+function auditEventMatches(event, filters) {
+  const taskId = normalizeString(filters.taskId ?? filters.id);
+  if (taskId && event.taskId !== taskId) return false;
+  const actor = normalizeString(filters.actor);
+  if (actor && event.actor !== actor) return false;
+  const tool = normalizeString(filters.tool);
+  if (tool && event.tool !== tool) return false;
+  const since = normalizeString(filters.since);
+  if (since && !(event.timestamp >= since)) return false;
+  const until = normalizeString(filters.until);
+  if (until && !(event.timestamp <= until)) return false;
+  return true;
+}
+
+function resolveUndoPath(backlogPath) {
+  return backlogPath.replace(/\.backlog$/i, '.undo.json');
+}
+
+async function readUndoStack(backlogPath) {
+  const raw = await fs.readFile(resolveUndoPath(backlogPath), 'utf8').catch(() => '');
+  const parsed = raw ? safeParseJson(raw) : null;
+  return {
+    undo: Array.isArray(parsed?.undo) ? parsed.undo : [],
+    redo: Array.isArray(parsed?.redo) ? parsed.redo : []
+  };
+}
+
+async function writeUndoStack(backlogPath, stack) {
+  const payload = {
+    undo: stack.undo.slice(-UNDO_LIMIT),
+    redo: stack.redo.slice(-UNDO_LIMIT)
+  };
+  await fs.writeFile(resolveUndoPath(backlogPath), JSON.stringify(payload, null, 2));
+}
+
+async function pushUndoOperation(backlogPath, operation) {
+  const stack = await readUndoStack(backlogPath);
+  stack.undo.push({
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    ...operation
+  });
+  stack.redo = [];
+  await writeUndoStack(backlogPath, stack);
+}
+
+function auditSnapshot(snapshot) {
+  if (!snapshot) return null;
+  return Object.hasOwn(snapshot, 'task') ? snapshot.task : snapshot;
+}
+
+function isSameTask(left, right) {
+  return JSON.stringify(normalizeTask(left)) === JSON.stringify(normalizeTask(right));
+}
+
+function applyStackOperation(state, taskId, from, to) {
+  if (Array.isArray(from?.order) && Array.isArray(to?.order)) {
+    const current = state.tasks.map((task) => normalizeString(task?.id));
+    if (JSON.stringify(current) !== JSON.stringify(from.order)) return null;
+    const byId = new Map(state.tasks.map((task) => [normalizeString(task?.id), task]));
+    return { tasks: to.order.map((id) => byId.get(id)), history: state.history };
+  }
+  const tasks = [...state.tasks];
+  const history = [...state.history];
+  if (from) {
+    const list = from.list === 'history' ? history : tasks;
+    const index = findTaskIndex(list, taskId);
+    if (index < 0 || !isSameTask(list[index], from.task)) return null;
+    list.splice(index, 1);
+  } else if (findTaskIndex(tasks, taskId) >= 0 || findTaskIndex(history, taskId) >= 0) {
+    return null;
+  }
+  if (to) {
+    const list = to.list === 'history' ? history : tasks;
+    list.splice(Math.min(Math.max(0, Number(to.index) || 0), list.length), 0, to.task);
+  }
+  return { tasks, history };
+}
+
+function applyStackChanges(state, operation, undoing) {
+  const changes = Array.isArray(operation.changes) ? operation.changes : [operation];
+  let current = state;
+  for (const change of undoing ? [...changes].reverse() : changes) {
+    const from = undoing ? change.after : change.before;
+    const to = undoing ? change.before : change.after;
+    current = applyStackOperation(current, change.taskId, from, to);
+    if (!current) return null;
+  }
+  return current;
+}
+
+async function maybeForceSave(backlogPath, args) {
+  const shouldForce = args?.forceSave !== false;
+  if (shouldForce) {
+    await forceSave(backlogPath);
+  }
+}
+
+// Saves several backlogs as one change. When a file fails to save, the files written
+// before it get their previous state back, so the change never lands in only some of them.
+async function saveBacklogStates(writes, args) {
+  const written = [];
+  try {
+    for (const write of writes) {
+      written.push(write);
+      await saveBacklogFile(write.path, write.state);
+      await maybeForceSave(write.path, args);
+    }
+  } catch (error) {
+    for (const write of written.reverse()) {
+      try {
+        await saveBacklogFile(write.path, write.previous);
+        await maybeForceSave(write.path, args);
+      } catch {
+        // keep restoring the others; the original error is what the caller needs
+      }
+    }
+    throw error;
+  }
+  for (const write of writes) {
+    if (!write.entry) continue;
+    write.entry.tasks = write.state.tasks;
+    write.entry.history = write.state.history;
+  }
+}
+
+function hasMatchConflict(ifMatch, currentHash, args) {
+  if (args?.force === true) return false;
+  const expected = normalizeString(ifMatch);
+  if (!expected) return false;
+  return expected !== currentHash;
+}
+
+function errorResponse(code, message, details) {
+  return details === undefined ? { ok: false, code, error: message } : { ok: false, code, error: message, details };
+}
+
+function conflictResponse(message, current) {
+  return { ...errorResponse('CONFLICT', message, { current }), conflict: { current } };
+}
+
+function toErrorResponse(error) {
+  if (error instanceof TaskConflictError) {
+    return conflictResponse(error.message, error.current);
+  }
+  if (error instanceof TaskToolError) {
+    return errorResponse(error.code, error.message, error.details);
+  }
+  if (error instanceof QueryParseError) {
+    return {
+      ...errorResponse('INVALID_QUERY', `Invalid query: ${error.message}`, { position: error.position }),
+      queryError: { message: error.message, position: error.position }
+    };
+  }
+  if (typeof error?.code === 'string' && error?.syscall) {
+    return errorResponse('IO_ERROR', String(error.message), { errno: error.code, path: error.path });
+  }
+  return errorResponse('INTERNAL', String(error?.message || error));
+}
+
+function findTaskIndex(tasks, id) {
+  const target = normalizeString(id);
+  if (!target) return -1;
+  return tasks.findIndex((task) => normalizeString(task?.id) === target);
+}
+
+function compileListQuery(args) {
+  const { ast, sort } = parseTaskQuery(args?.q);
+  return { ast, sort: [...sort, ...parseSortArg(args?.sort)] };
+}
+
+function paginateTasks(tasks, args) {
+  const offset = args?.cursor
+    ? decodeCursor(args.cursor)
+    : Math.max(0, Number.parseInt(args?.offset, 10) || 0);
+  if (offset === null) {
+    throw new TaskToolError('VALIDATION', `Invalid cursor: ${args.cursor}`);
+  }
+  const limit = Number.isFinite(Number(args?.limit)) && Number(args.limit) > 0 ? Number(args.limit) : null;
+  const page = limit ? tasks.slice(offset, offset + limit) : tasks.slice(offset);
+  const nextOffset = offset + page.length;
+  return {
+    tasks: page,
+    total: tasks.length,
+    offset,
+    nextCursor: nextOffset < tasks.length ? encodeCursor(nextOffset) : null
+  };
+}
+
+function taskMatchesFilters(task, filters, ast = null) {
+  const status = normalizeString(filters.status);
+  if (status && normalizeString(task.status) !== status) return false;
+  if (!matchesTaskQuery(task, ast)) return false;
+  const tags = normalizeStringList(Array.isArray(filters.tag) ? filters.tag : [filters.tag]);
+  const taskTags = Array.isArray(task.tags) ? task.tags : [];
+  if (tags.some((tag) => !taskTags.includes(tag))) return false;
+  const assignee = normalizeString(filters.assignee);
+  if (assignee && normalizeString(task.assignee) !== assignee) return false;
+  const priority = normalizeString(filters.priority);
+  if (priority && normalizeString(task.priority) !== priority) return false;
+  const dueBefore = normalizeString(filters.dueBefore);
+  if (dueBefore && !(task.dueDate && task.dueDate <= dueBefore)) return false;
+  const dueAfter = normalizeString(filters.dueAfter);
+  if (dueAfter && !(task.dueDate && task.dueDate >= dueAfter)) return false;
+  return true;
+}
+
+// task_watch runs outside the server's call queue, so it reads the file itself instead of
+// refreshing the shared backlog state that a queued mutation may be in the middle of saving.
+async function loadTaskView(sourcePath, args, config) {
+  const fileTasks = await readBacklogFromDisk(sourcePath);
+  assignTaskIds(fileTasks);
+  assignTaskStatuses(fileTasks, config);
+  const tasks = decorateTasks(fileTasks, sourcePath);
+  const { ast, sort } = compileListQuery(args);
+  const filtered = tasks.filter((task) => taskMatchesFilters(task, args, ast));
+  return sortTasks(filtered, sort, { priorities: config.priorities });
+}
+
+// A watch cursor lists the id and hash of every task in the view, so changes can be
+// diffed without the caller or a one-shot process keeping earlier snapshots.
+function encodeWatchCursor(tasks) {
+  const entries = tasks.map((task) => [task.id, String(task.taskHash).slice(0, 12)]);
+  return Buffer.from(JSON.stringify(entries)).toString('base64url');
+}
+
+function decodeWatchCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const valid = Array.isArray(parsed)
+      && parsed.every((entry) => Array.isArray(entry) && entry.length === 2 && entry.every((part) => typeof part === 'string'));
+    if (valid) return parsed;
+  } catch {
+    // fall through
+  }
+  throw new TaskToolError('VALIDATION', `Invalid watch cursor: ${cursor}`);
+}
+
+function diffTaskView(previous, tasks) {
+  const before = new Map(previous);
+  const current = new Set(tasks.map((task) => task.id));
+  const events = [];
+  for (const [id] of previous) {
+    if (!current.has(id)) events.push({ type: 'delete', id });
+  }
+  for (const task of tasks) {
+    if (before.has(task.id) && before.get(task.id) !== String(task.taskHash).slice(0, 12)) {
+      events.push({ type: 'update', task });
+    }
+  }
+  tasks.forEach((task, index) => {
+    if (!before.has(task.id)) events.push({ type: 'create', task, index });
+  });
+  const kept = previous.map(([id]) => id).filter((id) => current.has(id));
+  const survivors = tasks.map((task) => task.id).filter((id) => before.has(id));
+  if (kept.some((id, index) => id !== survivors[index])) {
+    events.push({ type: 'reorder', order: tasks.map((task) => task.id) });
+  }
+  return events;
+}
+
+function readMtime(filePath) {
+  try {
+    return Number(fsSync.statSync(filePath).mtimeMs) || 0;
+  } catch {
+    return null;
+  }
+}
+
+function waitForBacklogChange(backlogPath, timeoutMs, knownMtime) {
+  return new Promise((resolve) => {
+    let watcher = null;
+    let settleTimer = null;
+    const finish = () => {
+      clearTimeout(timer);
+      clearTimeout(settleTimer);
+      watcher?.close();
+      resolve();
+    };
+    const timer = setTimeout(finish, timeoutMs);
+    try {
+      watcher = fsSync.watch(path.dirname(backlogPath), { persistent: false }, (eventType, filename) => {
+        if (filename && String(filename) !== path.basename(backlogPath)) return;
+        // A save can arrive as several events; read once the burst has settled.
+        clearTimeout(settleTimer);
+        settleTimer = setTimeout(finish, WATCH_SETTLE_MS);
+      });
+      watcher.on('error', finish);
+    } catch {
+      // Without a watcher the call simply re-reads the file when the timeout expires.
+    }
+    if (readMtime(backlogPath) !== knownMtime) finish();
+  });
+}
+
+function normalizeOptions(value) {
+  const rawOptions = Array.isArray(value) ? value : [];
+  return rawOptions.map((option) => {
+    if (typeof option === 'string') return option;
+    if (option === null || typeof option === 'undefined') return '';
+    return String(option);
+  }).filter((option) => option.trim());
+}
+
+function cloneBacklogState(entry) {
+  return {
+    tasks: Array.isArray(entry?.tasks) ? [...entry.tasks] : [],
+    history: Array.isArray(entry?.history) ? [...entry.history] : []
+  };
+}
+
+function requireTaskIndex(state, id, op, ctx) {
+  const index = findTaskIndex(state.tasks, id);
+  if (index < 0) {
+    throw new TaskToolError('NOT_FOUND', `Task not found: ${id}`, { id });
+  }
+  const currentHash = taskHash(state.tasks[index]);
+  if (hasMatchConflict(op?.ifMatch, currentHash, op)) {
+    throw new TaskConflictError(`Task has changed since it was loaded: ${id}`, decorateTask(state.tasks[index], ctx.sourcePath, index));
+  }
+  return index;
+}
+
+async function createTaskInState(state, op, ctx) {
+  const { config } = ctx;
+  const description = normalizeString(op?.description);
+  if (!description) {
+    throw new TaskToolError('VALIDATION', 'description is required.');
+  }
+  const options = normalizeOptions(op?.options);
+  const resolution = normalizeString(op?.resolution);
+  const status = normalizeString(op?.status) || config.defaultStatus;
+  if (!Object.hasOwn(config.statuses, status)) {
+    throw new TaskToolError('VALIDATION', `Unknown status: ${status}`);
+  }
+  if (isTerminalStatus(config, status)) {
+    throw new TaskToolError('ILLEGAL_TRANSITION', `Cannot create a task that is already ${status}.`);
+  }
+  if (requiresResolution(config, status) && !resolution) {
+    throw new TaskToolError('ILLEGAL_TRANSITION', `Cannot set status ${status} without resolution.`);
+  }
+  const takenIds = new Set([...state.tasks, ...state.history].map((item) => normalizeString(item?.id)));
+  const now = new Date().toISOString();
+  const task = normalizeTask(applyDependencyArgs(applyMetadataArgs({
+    id: generateTaskId(takenIds),
+    description,
+    options: requiresResolution(config, status) ? [] : options,
+    resolution,
+    status,
+    createdAt: now,
+    updatedAt: now
+  }, op, config), op, ctx.root, ctx.sourcePath));
+  if (op?.dependsOn !== undefined || op?.blocks !== undefined) {
+    await validateTaskDependencies(ctx.root, ctx.sourcePath, task, state);
+  }
+  const position = Number.parseInt(op?.position, 10);
+  const index = Number.isFinite(position) ? Math.max(0, Math.min(state.tasks.length, position - 1)) : state.tasks.length;
+  state.tasks.splice(index, 0, task);
+  return {
+    response: { task: decorateTask(task, ctx.sourcePath, index) },
+    changes: [{ taskId: task.id, before: null, after: { list: 'tasks', index, task } }]
+  };
+}
+
+async function updateTaskInState(state, op, ctx) {
+  const { config } = ctx;
+  const id = normalizeString(op?.id);
+  if (!id) throw new TaskToolError('VALIDATION', 'task_update requires an "id" string.');
+  const taskIndex = requireTaskIndex(state, id, op, ctx);
+  const before = normalizeTask(state.tasks[taskIndex]);
+  const task = { ...state.tasks[taskIndex] };
+  const currentStatus = normalizeString(task.status) || computeStatus(task, config);
+  const nextStatus = op?.status !== undefined ? normalizeString(op.status) : currentStatus;
+  if (!Object.hasOwn(config.statuses, nextStatus)) {
+    throw new TaskToolError('VALIDATION', `Unknown status: ${nextStatus}`);
+  }
+  if (!isStatusTransitionAllowed(config, currentStatus, nextStatus)) {
+    throw new TaskToolError('ILLEGAL_TRANSITION', `Illegal status transition for task ${id}: ${currentStatus} -> ${nextStatus}.`, { id, from: currentStatus, to: nextStatus });
+  }
+  const contentChanged = (op?.description !== undefined && normalizeString(op.description) !== normalizeString(task.description))
+    || (op?.options !== undefined && JSON.stringify(normalizeOptions(op.options)) !== JSON.stringify(normalizeOptions(task.options)))
+    || (op?.resolution !== undefined && normalizeString(op.resolution) !== normalizeString(task.resolution));
+  if (contentChanged) assertTaskEditable(config, id, currentStatus);
+  if (op?.description !== undefined) task.description = normalizeString(op.description);
+  if (op?.options !== undefined) task.options = normalizeOptions(op.options);
+  if (op?.resolution !== undefined) task.resolution = normalizeString(op.resolution);
+  applyMetadataArgs(task, op, config);
+  applyDependencyArgs(task, op, ctx.root, ctx.sourcePath);
+  if (op?.dependsOn !== undefined || op?.blocks !== undefined) {
+    await validateTaskDependencies(ctx.root, ctx.sourcePath, task, state);
+  }
+  const completing = isTerminalStatus(config, nextStatus);
+  if (completing && currentStatus !== nextStatus) {
+    const { graph, candidate } = await loadTaskGraph(ctx.root, ctx.sourcePath, task, state);
+    const pending = openDependencies(graph, candidate.key);
+    if (pending.length) {
+      throw new TaskToolError('DEPENDENCY', `Cannot mark task ${id} ${nextStatus} while dependencies are open: ${pending.join(', ')}`, { id, pending });
+    }
+  }
+  if (requiresResolution(config, nextStatus) && currentStatus !== nextStatus) {
+    if (!normalizeString(task.resolution)) {
+      throw new TaskToolError('ILLEGAL_TRANSITION', `Cannot set status ${nextStatus} without resolution.`, { id, status: nextStatus });
+    }
+    task.options = [];
+  }
+  task.status = nextStatus;
+  task.updatedAt = new Date().toISOString();
+  if (completing) {
+    const resolved = normalizeString(task.resolution);
+    const historyTask = normalizeTask({
+      ...normalizeTaskMetadata(task),
+      id: task.id,
+      description: task.description,
+      subtasks: task.subtasks,
+      options: [],
+      resolution: resolved || 'Executed.',
+      status: nextStatus,
+      completedAt: task.updatedAt,
+      completedBy: ctx.actor,
+      completedFrom: currentStatus,
+      completionNote: op?.note,
+      completionCommit: op?.commit
+    });
+    state.tasks.splice(taskIndex, 1);
+    state.history.push(historyTask);
+    return {
+      response: { done: true },
+      changes: [{
+        taskId: id,
+        before: { list: 'tasks', index: taskIndex, task: before },
+        after: { list: 'history', index: state.history.length - 1, task: historyTask }
+      }]
+    };
+  }
+  state.tasks[taskIndex] = normalizeTask(task);
+  return {
+    response: { task: decorateTask(state.tasks[taskIndex], ctx.sourcePath, taskIndex) },
+    changes: [{
+      taskId: id,
+      before: { list: 'tasks', index: taskIndex, task: before },
+      after: { list: 'tasks', index: taskIndex, task: state.tasks[taskIndex] }
+    }]
+  };
+}
+
+async function deleteTaskInState(state, op, ctx) {
+  const id = normalizeString(op?.id);
+  if (!id) throw new TaskToolError('VALIDATION', 'task_delete requires an "id" string.');
+  const index = requireTaskIndex(state, id, op, ctx);
+  const [removed] = state.tasks.splice(index, 1);
+  return {
+    response: { deleted: id },
+    changes: [{ taskId: id, before: { list: 'tasks', index, task: normalizeTask(removed) }, after: null }]
+  };
+}
+
+async function reorderTasksInState(state, op, ctx) {
+  const order = Array.isArray(op?.order) ? op.order : [];
+  if (!order.length) {
+    throw new TaskToolError('VALIDATION', 'order array is required.');
+  }
+  const byIdMap = new Map(state.tasks.map((task, index) => [normalizeString(task?.id), { task, index }]));
+  const expectedHashes = Array.isArray(op?.ifMatch) ? op.ifMatch : [];
+  const stale = order.some((rawId, position) => {
+    const id = String(rawId || '').trim();
+    const current = byIdMap.get(id);
+    const currentHash = current ? taskHash(current.task) : '';
+    return hasMatchConflict(expectedHashes[position], currentHash, op);
+  });
+  const expectedRevision = normalizeString(op?.ifRevision);
+  const revisionChanged = Boolean(expectedRevision) && op?.force !== true && expectedRevision !== backlogRevision(state.tasks);
+  if (stale || revisionChanged) {
+    throw new TaskConflictError('Backlog has changed since it was loaded.', decorateTasks(state.tasks, ctx.sourcePath));
+  }
+  const orderSet = new Set(order.map((rawId) => String(rawId || '').trim()).filter(Boolean));
+  const next = [];
+  for (const rawId of order) {
+    const id = String(rawId || '').trim();
+    const current = byIdMap.get(id);
+    if (current) next.push(current.task);
+  }
+  const rest = [...byIdMap.entries()].filter(([id]) => !orderSet.has(id)).map(([, current]) => current.task);
+  if (normalizeString(op?.placement) === 'end') {
+    next.unshift(...rest);
+  } else {
+    next.push(...rest);
+  }
+  const previous = state.tasks.map((task) => task.id);
+  state.tasks.splice(0, state.tasks.length, ...next);
+  return {
+    response: { tasks: decorateTasks(state.tasks, ctx.sourcePath) },
+    changes: [{ taskId: null, before: { order: previous }, after: { order: next.map((task) => task.id) } }]
+  };
+}
+
+async function restoreTasksInState(state, op, ctx) {
+  const { config } = ctx;
+  const ids = normalizeStringList(op?.ids);
+  if (!ids.length) {
+    throw new TaskToolError('VALIDATION', 'ids array is required.');
+  }
+  const status = normalizeString(op?.status) || config.defaultStatus;
+  if (!Object.hasOwn(config.statuses, status)) {
+    throw new TaskToolError('VALIDATION', `Unknown status: ${status}`);
+  }
+  if (isTerminalStatus(config, status)) {
+    throw new TaskToolError('ILLEGAL_TRANSITION', `Cannot restore a task as ${status}.`);
+  }
+  const resetResolution = op?.resetResolution === true;
+  if (requiresResolution(config, status) && resetResolution) {
+    throw new TaskToolError('ILLEGAL_TRANSITION', `Cannot set status ${status} without resolution.`);
+  }
+  const missing = ids.filter((id) => findTaskIndex(state.history, id) < 0);
+  if (missing.length) {
+    throw new TaskToolError('NOT_FOUND', `History task not found: ${missing.join(', ')}`, { ids: missing });
+  }
+  // Reopening is a transition out of the status the entry was completed with; entries
+  // stored without a configured one count as the first terminal status.
+  for (const id of ids) {
+    const stored = normalizeString(state.history[findTaskIndex(state.history, id)].status);
+    const from = Object.hasOwn(config.statuses, stored) ? stored : config.terminalStatuses[0] || 'done';
+    if (!isStatusTransitionAllowed(config, from, status)) {
+      throw new TaskToolError('ILLEGAL_TRANSITION', `Illegal status transition for restored task ${id}: ${from} -> ${status}.`, { id, from, to: status });
+    }
+  }
+  const position = Number.parseInt(op?.position, 10);
+  let insertAt = Number.isFinite(position) ? Math.max(0, Math.min(state.tasks.length, position - 1)) : state.tasks.length;
+  const now = new Date().toISOString();
+  const changes = [];
+  for (const id of ids) {
+    const historyIndex = findTaskIndex(state.history, id);
+    const [historyTask] = state.history.splice(historyIndex, 1);
+    const restored = normalizeTask({
+      ...historyTask,
+      ...Object.fromEntries(COMPLETION_FIELDS.map((key) => [key, ''])),
+      status,
+      resolution: resetResolution ? '' : historyTask.resolution,
+      updatedAt: now
+    });
+    state.tasks.splice(insertAt, 0, restored);
+    changes.push({
+      taskId: id,
+      before: { list: 'history', index: historyIndex, task: normalizeTask(historyTask) },
+      after: { list: 'tasks', index: insertAt, task: restored }
+    });
+    insertAt += 1;
+  }
+  const restoredIds = new Set(ids);
+  return {
+    response: { tasks: decorateTasks(state.tasks, ctx.sourcePath).filter((task) => restoredIds.has(task.id)) },
+    changes
+  };
+}
+
+// Applies `edit` to a copy of the task's subtask list. Adding, reordering and removing
+// steps are content edits guarded by editableStatuses; ticking one is not.
+function updateSubtasksInState(state, op, ctx, guarded, edit) {
+  const id = normalizeString(op?.id);
+  if (!id) throw new TaskToolError('VALIDATION', 'Subtask operations require an "id" string.');
+  const taskIndex = requireTaskIndex(state, id, op, ctx);
+  const before = normalizeTask(state.tasks[taskIndex]);
+  if (guarded) assertTaskEditable(ctx.config, id, before.status || computeStatus(before, ctx.config));
+  const subtasks = normalizeSubtasks(before.subtasks);
+  edit(subtasks, id);
+  state.tasks[taskIndex] = normalizeTask({ ...state.tasks[taskIndex], subtasks, updatedAt: new Date().toISOString() });
+  return {
+    response: { task: decorateTask(state.tasks[taskIndex], ctx.sourcePath, taskIndex) },
+    changes: [{
+      taskId: id,
+      before: { list: 'tasks', index: taskIndex, task: before },
+      after: { list: 'tasks', index: taskIndex, task: state.tasks[taskIndex] }
+    }]
+  };
+}
+
+function requireSubtaskIndex(subtasks, op, id) {
+  const subtaskId = normalizeString(op?.subtaskId);
+  const index = subtasks.findIndex((subtask) => subtask.id === subtaskId);
+  if (index < 0) {
+    throw new TaskToolError('NOT_FOUND', `Subtask not found: ${subtaskId || '(missing subtaskId)'}`, { id, subtaskId });
+  }
+  return index;
+}
+
+async function addSubtaskInState(state, op, ctx) {
+  return updateSubtasksInState(state, op, ctx, true, (subtasks) => {
+    const description = normalizeString(op?.description);
+    if (!description) {
+      throw new TaskToolError('VALIDATION', 'description is required.');
+    }
+    const subtask = {
+      id: generateTaskId(new Set(subtasks.map((item) => item.id))),
+      description,
+      done: op?.done === true
+    };
+    const position = Number.parseInt(op?.position, 10);
+    const insertAt = Number.isFinite(position) ? Math.max(0, Math.min(subtasks.length, position - 1)) : subtasks.length;
+    subtasks.splice(insertAt, 0, subtask);
+  });
+}
+
+async function toggleSubtaskInState(state, op, ctx) {
+  return updateSubtasksInState(state, op, ctx, false, (subtasks, id) => {
+    const current = subtasks[requireSubtaskIndex(subtasks, op, id)];
+    current.done = typeof op?.done === 'boolean' ? op.done : !current.done;
+  });
+}
+
+async function reorderSubtasksInState(state, op, ctx) {
+  return updateSubtasksInState(state, op, ctx, true, (subtasks) => {
+    const order = Array.isArray(op?.order) ? op.order.map((value) => normalizeString(value)) : [];
+    if (!order.length) {
+      throw new TaskToolError('VALIDATION', 'order array is required.');
+    }
+    const ranked = (subtask) => {
+      const rank = order.indexOf(subtask.id);
+      return rank < 0 ? order.length : rank;
+    };
+    const next = subtasks
+      .map((subtask, index) => ({ subtask, index }))
+      .sort((a, b) => ranked(a.subtask) - ranked(b.subtask) || a.index - b.index)
+      .map((item) => item.subtask);
+    subtasks.splice(0, subtasks.length, ...next);
+  });
+}
+
+async function removeSubtaskInState(state, op, ctx) {
+  return updateSubtasksInState(state, op, ctx, true, (subtasks, id) => {
+    subtasks.splice(requireSubtaskIndex(subtasks, op, id), 1);
+  });
+}
+
+const SUBTASK_OPERATIONS = {
+  task_subtask_add: addSubtaskInState,
+  task_subtask_toggle: toggleSubtaskInState,
+  task_subtask_reorder: reorderSubtasksInState,
+  task_subtask_remove: removeSubtaskInState
+};
+
+// The batch "done" op completes a task with the first configured terminal status.
+function completeTaskInState(state, op, ctx) {
+  const [status] = ctx.config.terminalStatuses;
+  if (!status) {
+    throw new TaskToolError('VALIDATION', 'No terminal status is configured.');
+  }
+  return updateTaskInState(state, { ...op, status }, ctx);
+}
+
+const BATCH_OPERATIONS = {
+  create: createTaskInState,
+  update: updateTaskInState,
+  done: completeTaskInState,
+  delete: deleteTaskInState,
+  reorder: reorderTasksInState,
+  subtask_add: addSubtaskInState,
+  subtask_toggle: toggleSubtaskInState,
+  subtask_reorder: reorderSubtasksInState,
+  subtask_remove: removeSubtaskInState
+};
+
+function resolveBatchRefs(op, refs) {
+  const resolve = (value) => {
+    const text = normalizeString(value);
+    if (!text.startsWith('$')) return value;
+    const id = refs.get(text.slice(1));
+    if (!id) {
+      throw new TaskToolError('VALIDATION', `Unknown batch reference: ${text}`);
+    }
+    return id;
+  };
+  const resolved = { ...op };
+  if (op?.id !== undefined) resolved.id = resolve(op.id);
+  for (const key of ['order', 'dependsOn', 'blocks']) {
+    if (Array.isArray(op?.[key])) resolved[key] = op[key].map(resolve);
+  }
+  return resolved;
+}
+
+export async function dispatch(envelope, { toolName: toolNameArg = '', watch = false } = {}) {
+  const args = normalizeInput(envelope || {});
+  const toolName = toolNameArg
+    || envelope?.tool
+    || envelope?.params?.name
+    || envelope?.params?.tool_name
+    || envelope?.name
+    || envelope?.tool_name
+    || args?.tool_name
+    || args?.name;
+
+  if (!toolName) {
+    return errorResponse('UNKNOWN_TOOL', 'Missing TOOL_NAME.');
+  }
+
+  const actor = resolveActor(envelope);
+  // Changes that carry their own sourcePath belong to another backlog touched by the same
+  // call; they are journaled there but undone together from this backlog's stack.
+  const record = async (backlogPath, operation) => {
+    const changes = Array.isArray(operation.changes) ? operation.changes : [operation];
+    const warnings = [];
+    try {
+      for (const change of changes) {
+        await appendAuditEvent(change.sourcePath || backlogPath, {
+          tool: toolName,
+          actor,
+          taskId: change.taskId,
+          before: auditSnapshot(change.before),
+          after: auditSnapshot(change.after)
+        });
+      }
+    } catch (error) {
+      warnings.push(sidecarWarning('AUDIT_WRITE_FAILED', 'audit journal', error));
+    }
+    try {
+      await pushUndoOperation(backlogPath, { tool: toolName, changes });
+    } catch (error) {
+      warnings.push(sidecarWarning('UNDO_WRITE_FAILED', 'undo stack', error));
+    }
+    return warnings;
+  };
+  try {
+    const root = getRepoRootFromArgs(args);
+    if (watch) watchBacklogRoot(root);
+    const backlogPathRaw = args?.backlogPath ?? args?.backlog_path ?? args?.path ?? '';
+    const backlogPathArg = normalizeString(backlogPathRaw);
+    const { config, configPath, configPaths } = await loadConfig(root, backlogPathArg);
+    const errors = validateToolArguments(toolName, { ...args, backlogPath: args?.backlogPath ?? (backlogPathRaw || undefined) }, schemaContext(config));
+    if (errors.length) {
+      return {
+        ...errorResponse('VALIDATION', `Invalid arguments: ${errors.map((item) => `${item.field} ${item.message}`).join('; ')}`, { errors }),
+        errors
+      };
+    }
+
+    if (toolName === 'task_config') {
+      return { ok: true, config, configPath, configPaths };
+    }
+
+    if (toolName === 'task_backlog_list') {
+      const files = await listBacklogFiles(root);
+      return {
+        ok: true,
+        backlogs: files.map((filePath) => ({ path: filePath, relativePath: toRepoRelative(root, filePath) }))
+      };
+    }
+
+    const runOperation = async (sourcePath, operation) => {
+      const entry = await loadBacklogEntry(sourcePath, { refresh: true, config });
+      const state = cloneBacklogState(entry);
+      const { response, changes } = await operation(state, args, { root, sourcePath, config, actor });
+      if (entry) {
+        entry.tasks = state.tasks;
+        entry.history = state.history;
+      }
+      await saveBacklogFile(sourcePath, state);
+      await maybeForceSave(sourcePath, args);
+      const warnings = await record(sourcePath, { changes });
+      return withWarnings({ ok: true, ...response, revision: backlogRevision(state.tasks) }, warnings);
+    };
+
+    if (toolName === 'task_list') {
+      const scope = normalizeString(args?.scope) || 'file';
+      if (scope !== 'file' && scope !== 'repo') {
+        return errorResponse('VALIDATION', 'scope must be "file" or "repo".');
+      }
+      const filters = args && typeof args === 'object' ? args : {};
+      if (scope === 'repo') {
+        const { tasks, files } = await loadBacklogIndex(root, '', config);
+        const { ast, sort } = compileListQuery(filters);
+        const filtered = tasks.filter((task) => taskMatchesFilters(task, filters, ast));
+        const sorted = sortTasks(filtered, sort, { priorities: config.priorities });
+        const page = paginateTasks(sorted, filters);
+        const groups = files.map((file) => ({
+          sourcePath: file.path,
+          relativePath: toRepoRelative(root, file.path),
+          total: file.tasks.length,
+          revision: backlogRevision(file.tasks),
+          matched: filtered.filter((task) => task.sourcePath === file.path).length,
+          tasks: page.tasks.filter((task) => task.sourcePath === file.path)
+        }));
+        return { ok: true, scope, ...page, groups };
+      }
+      if (!backlogPathArg) {
+        return errorResponse('VALIDATION', 'backlogPath is required unless scope is "repo".');
+      }
+      const sourcePath = resolveBacklogPath(root, backlogPathArg);
+      const entry = await loadBacklogEntry(sourcePath, { refresh: true, config });
+      const fileTasks = Array.isArray(entry?.tasks) ? entry.tasks : [];
+      const revision = backlogRevision(fileTasks);
+      if (normalizeString(args?.ifNoneMatch) === revision) {
+        return { ok: true, notModified: true, revision };
+      }
+      const { ast, sort } = compileListQuery(filters);
+      const filtered = decorateTasks(fileTasks, sourcePath).filter((task) => taskMatchesFilters(task, filters, ast));
+      const sorted = sortTasks(filtered, sort, { priorities: config.priorities });
+      return { ok: true, ...paginateTasks(sorted, filters), revision, watchCursor: encodeWatchCursor(sorted) };
+    }
+
+    if (toolName === 'task_watch') {
+      if (!backlogPathArg) {
+        return errorResponse('VALIDATION', 'backlogPath is required.');
+      }
+      const sourcePath = resolveBacklogPath(root, backlogPathArg);
+      const previous = args?.since ? decodeWatchCursor(args.since) : null;
+      const requested = Number.isInteger(args?.timeoutMs) ? args.timeoutMs : WATCH_TIMEOUT_MS;
+      const deadline = Date.now() + Math.min(requested, WATCH_MAX_TIMEOUT_MS);
+      let mtime = readMtime(sourcePath);
+      let tasks = await loadTaskView(sourcePath, args, config);
+      if (!previous) {
+        return { ok: true, cursor: encodeWatchCursor(tasks), changed: false, events: [], tasks };
+      }
+      let events = diffTaskView(previous, tasks);
+      while (!events.length && Date.now() < deadline) {
+        await waitForBacklogChange(sourcePath, deadline - Date.now(), mtime);
+        mtime = readMtime(sourcePath);
+        tasks = await loadTaskView(sourcePath, args, config);
+        events = diffTaskView(previous, tasks);
+      }
+      return { ok: true, cursor: encodeWatchCursor(tasks), changed: events.length > 0, events };
+    }
+
+    if (toolName === 'task_history_list') {
+      if (!backlogPathArg) {
+        return errorResponse('VALIDATION', 'backlogPath is required.');
+      }
+      const historyPath = resolveHistoryPath(root, backlogPathArg);
+      const sourcePath = historyPath.replace(/\.history$/i, '.backlog');
+      const entry = await loadBacklogEntry(sourcePath, { refresh: true, config });
+      const historyTasks = Array.isArray(entry?.history) ? entry.history : [];
+      const revision = backlogRevision(historyTasks);
+      if (normalizeString(args?.ifNoneMatch) === revision) {
+        return { ok: true, notModified: true, revision };
+      }
+      const decorated = decorateHistoryTasks(historyTasks, historyPath);
+      const { ast, sort } = compileListQuery(args);
+      const filtered = decorated.filter((task) => matchesTaskQuery(task, ast)
+        && isWithinDateRange(task.completedAt, args?.completedAfter, args?.completedBefore));
+      const sorted = sortTasks(filtered, sort, { priorities: config.priorities });
+      return { ok: true, ...paginateTasks(sorted, args), revision };
+    }
+
+    if (toolName === 'task_graph') {
+      const nodes = await loadTaskGraphNodes(root);
+      const graph = buildDependencyGraph(nodes);
+      const { order, unordered } = topologicalOrder(graph);
+      const scopePath = backlogPathArg ? resolveBacklogPath(root, backlogPathArg) : '';
+      const ready = readyTasks(graph).filter((node) => !scopePath || node.sourcePath === scopePath);
+      return {
+        ok: true,
+        nodes,
+        edges: graph.edges,
+        order,
+        ready,
+        cycle: unordered.length ? findDependencyCycle(graph) : null
+      };
+    }
+
+    if (toolName === 'task_audit_list') {
+      if (!backlogPathArg) {
+        return errorResponse('VALIDATION', 'backlogPath is required.');
+      }
+      const sourcePath = resolveBacklogPath(root, backlogPathArg);
+      const events = (await readAuditEvents(sourcePath)).filter((event) => auditEventMatches(event, args));
+      const { tasks: page, ...pagination } = paginateTasks(events, args);
+      return { ok: true, events: page, ...pagination };
+    }
+
+    if (toolName === 'task_get') {
+      const id = normalizeString(args?.id);
+      if (!id) throw new TaskToolError('VALIDATION', 'task_get requires an "id" string.');
+      if (!backlogPathArg) {
+        return errorResponse('VALIDATION', 'backlogPath is required.');
+      }
+      const sourcePath = resolveBacklogPath(root, backlogPathArg);
+      const entry = await loadBacklogEntry(sourcePath, { config });
+      const fileTasks = entry?.tasks || [];
+      const index = findTaskIndex(fileTasks, id);
+      if (index < 0) {
+        return errorResponse('NOT_FOUND', `Task not found: ${id}`, { id });
+      }
+      return { ok: true, task: decorateTask(fileTasks[index], sourcePath, index) };
+    }
+
+    if (toolName === 'task_create') {
+      if (!backlogPathArg) {
+        return errorResponse('VALIDATION', 'backlogPath is required.');
+      }
+      const targetPath = resolveBacklogPath(root, backlogPathArg);
+      await ensureBacklogFile(targetPath);
+      return await runOperation(targetPath, createTaskInState);
+    }
+
+    if (toolName === 'task_update') {
+      if (!backlogPathArg) {
+        return errorResponse('VALIDATION', 'backlogPath is required.');
+      }
+      return await runOperation(resolveBacklogPath(root, backlogPathArg), updateTaskInState);
+    }
+
+    if (Object.hasOwn(SUBTASK_OPERATIONS, toolName)) {
+      if (!backlogPathArg) {
+        return errorResponse('VALIDATION', 'backlogPath is required.');
+      }
+      return await runOperation(resolveBacklogPath(root, backlogPathArg), SUBTASK_OPERATIONS[toolName]);
+    }
+
+    if (toolName === 'task_undo' || toolName === 'task_redo') {
+      if (!backlogPathArg) {
+        return errorResponse('VALIDATION', 'backlogPath is required.');
+      }
+      const undoing = toolName === 'task_undo';
+      const sourcePath = resolveBacklogPath(root, backlogPathArg);
+      const entry = await loadBacklogEntry(sourcePath, { refresh: true, config });
+      const stack = await readUndoStack(sourcePath);
+      const pending = undoing ? stack.undo : stack.redo;
+      const operation = pending[pending.length - 1];
+      if (!operation) {
+        return undoing ? errorResponse('NOTHING_TO_UNDO', 'Nothing to undo.') : errorResponse('NOTHING_TO_REDO', 'Nothing to redo.');
+      }
+      const changes = Array.isArray(operation.changes) ? operation.changes : [operation];
+      const changePath = (change) => (change.sourcePath ? resolveBacklogPath(root, change.sourcePath) : sourcePath);
+      const byFile = new Map([[sourcePath, []]]);
+      for (const change of changes) {
+        const filePath = changePath(change);
+        if (!byFile.has(filePath)) byFile.set(filePath, []);
+        byFile.get(filePath).push(change);
+      }
+      const writes = [];
+      let next = null;
+      for (const [filePath, fileChanges] of byFile) {
+        const fileEntry = filePath === sourcePath
+          ? entry
+          : await loadBacklogEntry(filePath, { refresh: true, config: (await loadConfig(root, filePath)).config });
+        const state = {
+          tasks: Array.isArray(fileEntry?.tasks) ? fileEntry.tasks : [],
+          history: Array.isArray(fileEntry?.history) ? fileEntry.history : []
+        };
+        const fileNext = applyStackChanges(state, { changes: fileChanges }, undoing);
+        if (!fileNext) {
+          return conflictResponse(
+            `Backlog has changed since ${operation.tool}; it can no longer be ${undoing ? 'undone' : 'redone'}.`,
+            decorateTasks(state.tasks, filePath)
+          );
+        }
+        if (filePath === sourcePath) next = fileNext;
+        if (fileChanges.length) writes.push({ path: filePath, entry: fileEntry, state: fileNext, previous: state });
+      }
+      await saveBacklogStates(writes, args);
+      pending.pop();
+      (undoing ? stack.redo : stack.undo).push(operation);
+      const warnings = [];
+      try {
+        await writeUndoStack(sourcePath, stack);
+      } catch (error) {
+        warnings.push(sidecarWarning('UNDO_WRITE_FAILED', 'undo stack', error));
+      }
+      try {
+        for (const change of changes) {
+          await appendAuditEvent(changePath(change), {
+            tool: toolName,
+            actor,
+            taskId: change.taskId,
+            before: auditSnapshot(undoing ? change.after : change.before),
+            after: auditSnapshot(undoing ? change.before : change.after),
+            operation: operation.id
+          });
+        }
+      } catch (error) {
+        warnings.push(sidecarWarning('AUDIT_WRITE_FAILED', 'audit journal', error));
+      }
+      return withWarnings({
+        ok: true,
+        operation: { id: operation.id, tool: operation.tool, taskIds: changes.map((change) => change.taskId) },
+        canUndo: stack.undo.length > 0,
+        canRedo: stack.redo.length > 0,
+        tasks: decorateTasks(next.tasks, sourcePath),
+        revision: backlogRevision(next.tasks)
+      }, warnings);
+    }
+
+    if (toolName === 'task_restore') {
+      if (!backlogPathArg) {
+        return errorResponse('VALIDATION', 'backlogPath is required.');
+      }
+      const sourcePath = isHistoryFilename(backlogPathArg)
+        ? resolveHistoryPath(root, backlogPathArg).replace(/\.history$/i, '.backlog')
+        : resolveBacklogPath(root, backlogPathArg);
+      return await runOperation(sourcePath, restoreTasksInState);
+    }
+
+    if (toolName === 'task_move') {
+      if (!backlogPathArg) {
+        return errorResponse('VALIDATION', 'backlogPath is required.');
+      }
+      const targetArg = normalizeString(args?.targetBacklogPath);
+      if (!targetArg) {
+        return errorResponse('VALIDATION', 'targetBacklogPath is required.');
+      }
+      const id = normalizeString(args?.id);
+      if (!id) {
+        return errorResponse('VALIDATION', 'task_move requires an "id" string.');
+      }
+      const sourcePath = resolveBacklogPath(root, backlogPathArg);
+      const targetPath = resolveBacklogPath(root, targetArg);
+      if (sourcePath === targetPath) {
+        return errorResponse('INVALID_PATH', 'targetBacklogPath must differ from backlogPath.');
+      }
+      const copy = args?.copy === true;
+      const sourceEntry = await loadBacklogEntry(sourcePath, { refresh: true, config });
+      const source = cloneBacklogState(sourceEntry);
+      const index = requireTaskIndex(source, id, args, { sourcePath });
+      const task = normalizeTask(source.tasks[index]);
+      const { config: targetConfig } = await loadConfig(root, targetPath);
+      if (!Object.hasOwn(targetConfig.statuses, task.status)) {
+        return errorResponse('VALIDATION', `Unknown status for ${toRepoRelative(root, targetPath)}: ${task.status}`);
+      }
+      await ensureBacklogFile(targetPath);
+      const targetEntry = await loadBacklogEntry(targetPath, { refresh: true, config: targetConfig });
+      const target = cloneBacklogState(targetEntry);
+      const takenIds = new Set([...target.tasks, ...target.history].map((item) => normalizeString(item?.id)));
+      const nextId = copy || takenIds.has(id) ? generateTaskId(takenIds) : id;
+      const renames = new Map(copy ? [] : [
+        [`${toRepoRelative(root, sourcePath)}#${id}`, `${toRepoRelative(root, targetPath)}#${nextId}`]
+      ]);
+      const now = new Date().toISOString();
+      const moved = normalizeTask({
+        ...task,
+        ...retargetTaskRefs(root, sourcePath, targetPath, task, renames),
+        id: nextId,
+        createdAt: copy ? now : task.createdAt,
+        updatedAt: now
+      });
+      const sourceChanges = [];
+      if (!copy) {
+        source.tasks.splice(index, 1);
+        sourceChanges.push({ taskId: id, before: { list: 'tasks', index, task }, after: null });
+      }
+      const position = Number.parseInt(args?.position, 10);
+      const insertAt = Number.isFinite(position)
+        ? Math.max(0, Math.min(target.tasks.length, position - 1))
+        : target.tasks.length;
+      target.tasks.splice(insertAt, 0, moved);
+      const targetChanges = [{ taskId: nextId, before: null, after: { list: 'tasks', index: insertAt, task: moved } }];
+      // The target is written first, so a failure part way leaves a copy rather than a lost task.
+      const writes = [{ path: targetPath, entry: targetEntry, state: target, previous: cloneBacklogState(targetEntry), changes: targetChanges }];
+      if (renames.size) {
+        targetChanges.push(...retargetStateRefs(root, targetPath, target, renames));
+        sourceChanges.push(...retargetStateRefs(root, sourcePath, source, renames));
+        for (const filePath of await listBacklogFiles(root)) {
+          if (filePath === sourcePath || filePath === targetPath) continue;
+          const fileEntry = await loadBacklogEntry(filePath, { refresh: true, config: (await loadConfig(root, filePath)).config });
+          const state = cloneBacklogState(fileEntry);
+          const changes = retargetStateRefs(root, filePath, state, renames);
+          if (changes.length) writes.push({ path: filePath, entry: fileEntry, state, previous: cloneBacklogState(fileEntry), changes });
+        }
+      }
+      if (sourceChanges.length) {
+        writes.push({ path: sourcePath, entry: sourceEntry, state: source, previous: cloneBacklogState(sourceEntry), changes: sourceChanges });
+      }
+      await saveBacklogStates(writes, args);
+      // One undo entry on the source backlog reverts every file the move touched.
+      const warnings = await record(sourcePath, {
+        changes: writes.flatMap((write) => (write.path === sourcePath
+          ? write.changes
+          : write.changes.map((change) => ({ ...change, sourcePath: write.path }))))
+      });
+      return withWarnings({
+        ok: true,
+        task: decorateTask(moved, targetPath, insertAt),
+        copied: copy,
+        from: { id, sourcePath },
+        revision: backlogRevision(source.tasks),
+        targetRevision: backlogRevision(target.tasks)
+      }, warnings);
+    }
+
+    if (toolName === 'task_delete') {
+      if (!backlogPathArg) {
+        return errorResponse('VALIDATION', 'backlogPath is required.');
+      }
+      return await runOperation(resolveBacklogPath(root, backlogPathArg), deleteTaskInState);
+    }
+
+    if (toolName === 'task_reorder') {
+      if (!backlogPathArg) {
+        return errorResponse('VALIDATION', 'backlogPath is required.');
+      }
+      return await runOperation(resolveBacklogPath(root, backlogPathArg), reorderTasksInState);
+    }
+
+    if (toolName === 'task_batch') {
+      if (!backlogPathArg) {
+        return errorResponse('VALIDATION', 'backlogPath is required.');
+      }
+      const operations = Array.isArray(args?.operations) ? args.operations : [];
+      if (!operations.length) {
+        return errorResponse('VALIDATION', 'operations array is required.');
+      }
+      const sourcePath = resolveBacklogPath(root, backlogPathArg);
+      if (operations.some((operation) => operation?.op === 'create')) {
+        await ensureBacklogFile(sourcePath);
+      }
+      const entry = await loadBacklogEntry(sourcePath, { refresh: true, config });
+      const state = cloneBacklogState(entry);
+      const ctx = { root, sourcePath, config, actor };
+      const atomic = args?.atomic !== false;
+      const refs = new Map();
+      const results = [];
+      const changes = [];
+      for (const [index, operation] of operations.entries()) {
+        const type = normalizeString(operation?.op);
+        try {
+          const apply = BATCH_OPERATIONS[type];
+          if (!apply) {
+            throw new TaskToolError('VALIDATION', `Unknown batch operation: ${type || '(missing op)'}`);
+          }
+          const outcome = await apply(state, resolveBatchRefs(operation, refs), ctx);
+          const ref = normalizeString(operation.ref);
+          if (type === 'create' && ref) refs.set(ref, outcome.response.task.id);
+          results.push({ index, op: type, ok: true, ...outcome.response });
+          changes.push(...outcome.changes);
+        } catch (error) {
+          const failure = toErrorResponse(error);
+          results.push({ index, op: type, ...failure });
+          // Operations only touch the state once they have validated, so a failed one
+          // can be skipped without undoing anything.
+          if (!atomic) continue;
+          return {
+            ...errorResponse(failure.code, `Batch operation ${index + 1} (${type || 'unknown'}) failed: ${failure.error}`, {
+              failedIndex: index,
+              op: type
+            }),
+            failedIndex: index,
+            results
+          };
+        }
+      }
+      const failed = results.filter((result) => !result.ok).length;
+      let warnings = [];
+      if (changes.length) {
+        if (entry) {
+          entry.tasks = state.tasks;
+          entry.history = state.history;
+        }
+        await saveBacklogFile(sourcePath, state);
+        await maybeForceSave(sourcePath, args);
+        warnings = await record(sourcePath, { changes });
+      }
+      return withWarnings({
+        ok: true,
+        results,
+        ...(atomic ? {} : { failed }),
+        tasks: decorateTasks(state.tasks, sourcePath),
+        revision: backlogRevision(state.tasks)
+      }, warnings);
+    }
+
+    return errorResponse('UNKNOWN_TOOL', `Unknown tool: ${toolName}`);
+  } catch (error) {
+    return toErrorResponse(error);
+  }
+}
+
+async function main() {
+  let raw = await fs.readFile(0, 'utf8').catch(() => '');
+  if (!raw) {
+    raw = await readStdinFallback();
+  }
+  const envelope = raw && raw.trim() ? safeParseJson(raw) : null;
+  const toolName = process.env.TOOL_NAME || process.argv[2];
+  if (toolName === 'tools/list') {
+    writeJson({ tools: listToolSchemas() });
+    return;
+  }
+  writeJson(await dispatch(envelope, { toolName }));
+}
+
+function isEntryPoint() {
+  try {
+    return Boolean(process.argv[1]) && import.meta.url === pathToFileURL(fsSync.realpathSync(process.argv[1])).href;
+  } catch {
+    return false;
+  }
+}
+
+if (isEntryPoint()) {
+  main().catch((error) => {
+    writeJson(errorResponse('INTERNAL', String(error?.message || error)));
+  });
+}
@@ -0,0 +1,116 @@
+import fsSync from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const MCP_CONFIG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'mcp-config.json');
+
+let toolDefinitions = null;
+
+export function loadToolDefinitions() {
+  if (!toolDefinitions) {
+    const config = JSON.parse(fsSync.readFileSync(MCP_CONFIG_PATH, 'utf8'));
+    toolDefinitions = new Map((Array.isArray(config?.tools) ? config.tools : []).map((tool) => [tool.name, tool]));
+  }
+  return toolDefinitions;
+}
+
+function fieldTypes(spec) {
+  const types = Array.isArray(spec?.type) ? spec.type : [spec?.type || 'string'];
+  return spec?.nullable ? [...types, 'null'] : types;
+}
+
+// `enumFrom` names a list resolved per repository (e.g. configured statuses), so the
+// advertised schema and the validation both follow .backlog.config.json.
+function resolveEnum(spec, context) {
+  const values = Array.isArray(spec?.enum) ? spec.enum : context?.[spec?.enumFrom];
+  if (!Array.isArray(values)) return null;
+  return spec.allowEmpty ? [...values, ''] : values;
+}
+
+function toFieldSchema(spec, context) {
+  const types = fieldTypes(spec);
+  const schema = { type: types.length === 1 ? types[0] : types };
+  if (spec.description) schema.description = spec.description;
+  const allowed = resolveEnum(spec, context);
+  if (allowed) schema.enum = spec.nullable ? [...allowed, null] : [...allowed];
+  if (spec.minimum !== undefined) schema.minimum = spec.minimum;
+  if (spec.pattern) schema.pattern = spec.pattern;
+  if (spec.items) schema.items = toFieldSchema(spec.items, context);
+  if (spec.properties) Object.assign(schema, toObjectSchema(spec.properties, context));
+  return schema;
+}
+
+function toObjectSchema(properties, context) {
+  const schema = { type: 'object', properties: {}, required: [] };
+  for (const [name, spec] of Object.entries(properties || {})) {
+    schema.properties[name] = toFieldSchema(spec, context);
+    if (spec?.optional === false) schema.required.push(name);
+  }
+  return schema;
+}
+
+export function listTools(context = {}) {
+  return [...loadToolDefinitions().values()].map((tool) => ({
+    name: tool.name,
+    title: tool.title,
+    description: tool.description,
+    inputSchema: toObjectSchema(tool.inputSchema, context)
+  }));
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+function validateValue(value, spec, field, context, errors) {
+  const types = fieldTypes(spec);
+  if (!types.some((type) => matchesType(value, type))) {
+    errors.push({ field, message: `must be ${types.join(' or ')}` });
+    return;
+  }
+  if (value === null) return;
+  const allowed = resolveEnum(spec, context);
+  if (allowed && !Array.isArray(value) && !allowed.includes(value)) {
+    errors.push({ field, message: `must be one of: ${allowed.filter(Boolean).join(', ')}` });
+  }
+  if (typeof value === 'number' && spec.minimum !== undefined && value < spec.minimum) {
+    errors.push({ field, message: `must be at least ${spec.minimum}` });
+  }
+  if (typeof value === 'string' && spec.pattern && !new RegExp(spec.pattern).test(value)) {
+    errors.push({ field, message: `must match ${spec.pattern}` });
+  }
+  if (Array.isArray(value) && spec.items) {
+    value.forEach((item, index) => validateValue(item, spec.items, `${field}[${index}]`, context, errors));
+  }
+  if (matchesType(value, 'object') && spec.properties) {
+    validateProperties(value, spec.properties, field, context, errors);
+  }
+}
+
+function validateProperties(value, properties, prefix, context, errors) {
+  for (const [name, spec] of Object.entries(properties || {})) {
+    const field = prefix ? `${prefix}.${name}` : name;
+    if (value?.[name] === undefined) {
+      if (spec?.optional === false) errors.push({ field, message: 'is required' });
+      continue;
+    }
+    validateValue(value[name], spec, field, context, errors);
+  }
+}
+
+export function validateToolArguments(toolName, args, context = {}) {
+  const tool = loadToolDefinitions().get(toolName);
+  if (!tool) return [];
+  const errors = [];
+  validateProperties(args, tool.inputSchema, '', context, errors);
+  return errors;
+}